@@ -0,0 +1,518 @@
+// Built-in email templates. Admins can override any of them through
+// /api/admin/email-templates; an override is removed to restore the default.
+// Syntax is described in utils/templateRenderer.js. Every template also
+// receives `site` (site settings, see models/SiteSettings.js).
+
+const FOOTER_STYLE = 'margin-top: 30px; text-align: center; color: #888; font-size: 12px; border-top: 1px solid #eee; padding-top: 20px;';
+const HEADING_STYLE = 'color: #4F46E5; border-bottom: 2px solid #4F46E5; padding-bottom: 10px;';
+const BUTTON_STYLE = 'background-color: #4F46E5; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;';
+
+const AUTOMATED_FOOTER = `
+      <div style="${FOOTER_STYLE}">
+        <p>This is an automated message. Please do not reply to this email.</p>
+      </div>`;
+
+const SAMPLE_SITE_USER = { name: 'Jane Admin', email: 'jane@example.com' };
+
+const DEFAULT_EMAIL_TEMPLATES = {
+  contactNotification: {
+    description: 'Sent to the site owner when a visitor submits the contact form',
+    variables: ['contact.name', 'contact.email', 'contact.phone', 'contact.company', 'contact.projectType', 'contact.priority', 'contact.subject', 'contact.message', 'submittedAt'],
+    sample: {
+      contact: {
+        name: 'Alex Visitor',
+        email: 'alex@example.com',
+        phone: '+1 555 0100',
+        company: 'Example Ltd',
+        projectType: 'Web Development',
+        priority: 'Medium',
+        subject: 'New website for my bakery',
+        message: 'Hi! I need a simple website with an online menu.\nCould you send me a quote?'
+      },
+      submittedAt: 'January 15, 2025, 10:30 AM'
+    },
+    subject: 'New Contact Form Submission: {{contact.subject}}',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333; border-bottom: 2px solid #4F46E5; padding-bottom: 10px;">
+        New Contact Form Submission
+      </h2>
+
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="color: #4F46E5; margin-top: 0;">Contact Details</h3>
+        <p><strong>Name:</strong> {{contact.name}}</p>
+        <p><strong>Email:</strong> {{contact.email}}</p>
+        <p><strong>Phone:</strong> {{#if contact.phone}}{{contact.phone}}{{else}}Not provided{{/if}}</p>
+        <p><strong>Company:</strong> {{#if contact.company}}{{contact.company}}{{else}}Not provided{{/if}}</p>
+        <p><strong>Project Type:</strong> {{contact.projectType}}</p>
+        <p><strong>Priority:</strong> {{contact.priority}}</p>
+      </div>
+
+      <div style="background-color: #fff; padding: 20px; border: 1px solid #e9ecef; border-radius: 8px;">
+        <h3 style="color: #333; margin-top: 0;">Subject</h3>
+        <p style="font-size: 16px; font-weight: 500;">{{contact.subject}}</p>
+
+        <h3 style="color: #333;">Message</h3>
+        <p style="line-height: 1.6; color: #555; white-space: pre-line;">{{contact.message}}</p>
+      </div>
+
+      <div style="margin-top: 20px; padding: 15px; background-color: #e7f3ff; border-radius: 8px;">
+        <p style="margin: 0; color: #666; font-size: 14px;">
+          <strong>Submitted on:</strong> {{submittedAt}}
+        </p>
+      </div>
+
+      <div style="${FOOTER_STYLE}">
+        <p>This email was automatically generated from the {{site.siteName}} contact form.</p>
+      </div>
+    </div>`,
+    text: `New contact form submission
+
+Name: {{contact.name}}
+Email: {{contact.email}}
+Phone: {{#if contact.phone}}{{contact.phone}}{{else}}Not provided{{/if}}
+Company: {{#if contact.company}}{{contact.company}}{{else}}Not provided{{/if}}
+Project type: {{contact.projectType}}
+Priority: {{contact.priority}}
+
+Subject: {{contact.subject}}
+
+{{contact.message}}
+
+Submitted on: {{submittedAt}}`
+  },
+
+  contactAutoReply: {
+    description: 'Sent to a visitor to confirm their contact form submission',
+    variables: ['contact.name', 'contact.subject', 'contact.projectType', 'submittedAt'],
+    sample: {
+      contact: {
+        name: 'Alex Visitor',
+        subject: 'New website for my bakery',
+        projectType: 'Web Development'
+      },
+      submittedAt: 'January 15, 2025, 10:30 AM'
+    },
+    subject: 'Thank you for contacting me!',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="${HEADING_STYLE}">
+        Thank You for Your Message!
+      </h2>
+
+      <p style="font-size: 16px; line-height: 1.6; color: #333;">
+        Hi {{contact.name}},
+      </p>
+
+      <p style="line-height: 1.6; color: #555;">
+        Thank you for reaching out to me! I've received your message about
+        "<strong>{{contact.subject}}</strong>" and I appreciate you taking the time to contact me.
+      </p>
+
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="color: #4F46E5; margin-top: 0;">What's Next?</h3>
+        <ul style="color: #555; line-height: 1.6;">
+          <li>I'll review your message carefully</li>
+          <li>You can expect a response within {{site.responseTime}}</li>
+          <li>For urgent matters, feel free to call me directly</li>
+        </ul>
+      </div>
+
+      <p style="line-height: 1.6; color: #555;">
+        In the meantime, feel free to check out my portfolio and recent projects.
+        I look forward to discussing your project with you!
+      </p>
+
+      <div style="background-color: #e7f3ff; padding: 15px; border-radius: 8px; margin: 20px 0;">
+        <h4 style="color: #4F46E5; margin-top: 0;">Your Message Summary:</h4>
+        <p style="margin: 5px 0;"><strong>Subject:</strong> {{contact.subject}}</p>
+        <p style="margin: 5px 0;"><strong>Project Type:</strong> {{contact.projectType}}</p>
+        <p style="margin: 5px 0;"><strong>Submitted:</strong> {{submittedAt}}</p>
+      </div>
+
+      <p style="line-height: 1.6; color: #555;">
+        Best regards,<br>
+        <strong>{{site.ownerName}}</strong><br>
+        <em>{{site.ownerTitle}}</em>
+      </p>
+
+      <div style="${FOOTER_STYLE}">
+        <p>This is an automated response. Please do not reply to this email.</p>
+        {{#if site.siteUrl}}<p>Visit my portfolio: <a href="{{site.siteUrl}}" style="color: #4F46E5;">{{site.siteName}}</a></p>{{/if}}
+      </div>
+    </div>`,
+    text: `Hi {{contact.name}},
+
+Thank you for reaching out to me! I've received your message about "{{contact.subject}}" and I appreciate you taking the time to contact me.
+
+What's next?
+- I'll review your message carefully
+- You can expect a response within {{site.responseTime}}
+- For urgent matters, feel free to call me directly
+
+Your message summary:
+Subject: {{contact.subject}}
+Project type: {{contact.projectType}}
+Submitted: {{submittedAt}}
+
+Best regards,
+{{site.ownerName}}
+{{site.ownerTitle}}
+{{#if site.siteUrl}}
+Visit my portfolio: {{site.siteUrl}}{{/if}}
+
+This is an automated response. Please do not reply to this email.`
+  },
+
+  contactReply: {
+    description: 'Wraps a reply sent to a contact from the admin panel',
+    variables: ['contact.name', 'contact.message', 'reply.subject', 'reply.message', 'submittedAt'],
+    sample: {
+      contact: {
+        name: 'Alex Visitor',
+        message: 'Hi! I need a simple website with an online menu.\nCould you send me a quote?'
+      },
+      reply: {
+        subject: 'Re: New website for my bakery',
+        message: 'Hi Alex,\n\nThanks for getting in touch. I will send a quote tomorrow.\n\nBest regards,\nJane'
+      },
+      submittedAt: 'January 15, 2025, 10:30 AM'
+    },
+    subject: '{{reply.subject}}',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <p style="line-height: 1.6; color: #333; white-space: pre-line;">{{reply.message}}</p>
+
+      <div style="margin-top: 30px; padding: 15px; border-left: 3px solid #4F46E5; background-color: #f8f9fa; color: #666; font-size: 14px;">
+        <p style="margin: 0 0 10px 0;">
+          On {{submittedAt}}, {{contact.name}} wrote:
+        </p>
+        <p style="margin: 0; white-space: pre-line;">{{contact.message}}</p>
+      </div>
+    </div>`,
+    text: `{{reply.message}}
+
+On {{submittedAt}}, {{contact.name}} wrote:
+
+{{contact.message}}`
+  },
+
+  slaReminderDigest: {
+    description: 'Digest sent to admins listing contacts still unanswered past their response SLA',
+    variables: ['recipient.name', 'total', 'more', 'inboxUrl', 'contacts (name, email, subject, priority, receivedAt, dueAt, hoursOverdue, isRead)'],
+    sample: {
+      recipient: { name: 'Jane Admin' },
+      total: 2,
+      more: 0,
+      inboxUrl: 'https://example.com/admin/contacts',
+      contacts: [
+        {
+          name: 'Alex Visitor',
+          email: 'alex@example.com',
+          subject: 'New website for my bakery',
+          priority: 'High',
+          receivedAt: 'January 14, 2025, 9:00 AM',
+          dueAt: 'January 15, 2025, 9:00 AM',
+          hoursOverdue: 5.5,
+          isRead: false
+        },
+        {
+          name: 'Sam Client',
+          email: 'sam@example.com',
+          subject: 'Mobile app maintenance',
+          priority: 'Medium',
+          receivedAt: 'January 12, 2025, 4:15 PM',
+          dueAt: 'January 14, 2025, 4:15 PM',
+          hoursOverdue: 22,
+          isRead: true
+        }
+      ]
+    },
+    subject: '{{total}} contact(s) waiting past their response SLA',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="${HEADING_STYLE}">
+        Contacts Awaiting a Reply
+      </h2>
+
+      <p style="font-size: 16px; line-height: 1.6; color: #333;">
+        Hi {{recipient.name}},
+      </p>
+
+      <p style="line-height: 1.6; color: #555;">
+        {{total}} contact(s) have not been answered within their response SLA.
+      </p>
+
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px; margin: 20px 0;">
+        <tr style="background-color: #f8f9fa; text-align: left;">
+          <th style="padding: 8px;">Contact</th>
+          <th style="padding: 8px;">Priority</th>
+          <th style="padding: 8px;">Overdue</th>
+        </tr>
+        {{#each contacts}}<tr style="border-top: 1px solid #eee;">
+          <td style="padding: 8px;">
+            <strong>{{subject}}</strong><br>
+            {{name}} &lt;{{email}}&gt;<br>
+            <span style="color: #888;">Received {{receivedAt}}{{#if isRead}}{{else}} · unread{{/if}}</span>
+          </td>
+          <td style="padding: 8px;">{{priority}}</td>
+          <td style="padding: 8px; color: #DC2626;">{{hoursOverdue}} h</td>
+        </tr>{{/each}}
+      </table>
+
+      {{#if more}}<p style="line-height: 1.6; color: #555;">…and {{more}} more.</p>{{/if}}
+
+      {{#if inboxUrl}}<div style="text-align: center; margin: 30px 0;">
+        <a href="{{inboxUrl}}" style="${BUTTON_STYLE}">
+          Open Inbox
+        </a>
+      </div>{{/if}}
+${AUTOMATED_FOOTER}
+    </div>`,
+    text: `Hi {{recipient.name}},
+
+{{total}} contact(s) have not been answered within their response SLA.
+{{#each contacts}}
+- {{subject}}
+  {{name}} <{{email}}>, {{priority}} priority, {{hoursOverdue}} h overdue{{#if isRead}}{{else}}, unread{{/if}}
+  Received {{receivedAt}}
+{{/each}}
+{{#if more}}...and {{more}} more.{{/if}}
+
+{{#if inboxUrl}}Open the inbox: {{inboxUrl}}{{/if}}`
+  },
+
+  passwordReset: {
+    description: 'Password reset link',
+    variables: ['user.name', 'resetUrl', 'expiresInMinutes'],
+    sample: {
+      user: SAMPLE_SITE_USER,
+      resetUrl: 'https://example.com/reset-password/sample-token',
+      expiresInMinutes: 30
+    },
+    subject: 'Reset your password',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="${HEADING_STYLE}">
+        Password Reset Request
+      </h2>
+
+      <p style="font-size: 16px; line-height: 1.6; color: #333;">
+        Hi {{user.name}},
+      </p>
+
+      <p style="line-height: 1.6; color: #555;">
+        We received a request to reset the password for your account.
+        Click the button below to choose a new password. This link can only be used once
+        and expires in {{expiresInMinutes}} minutes.
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{resetUrl}}" style="${BUTTON_STYLE}">
+          Reset Password
+        </a>
+      </div>
+
+      <p style="line-height: 1.6; color: #555;">
+        If you did not request a password reset, you can safely ignore this email.
+        Your password will not be changed.
+      </p>
+${AUTOMATED_FOOTER}
+    </div>`,
+    text: `Hi {{user.name}},
+
+We received a request to reset the password for your account. Open the link below to choose a new password. This link can only be used once and expires in {{expiresInMinutes}} minutes.
+
+{{resetUrl}}
+
+If you did not request a password reset, you can safely ignore this email. Your password will not be changed.`
+  },
+
+  emailVerification: {
+    description: 'Email address verification link',
+    variables: ['user.name', 'verifyUrl', 'expiresInHours'],
+    sample: {
+      user: SAMPLE_SITE_USER,
+      verifyUrl: 'https://example.com/verify-email/sample-token',
+      expiresInHours: 24
+    },
+    subject: 'Verify your email address',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="${HEADING_STYLE}">
+        Verify Your Email Address
+      </h2>
+
+      <p style="font-size: 16px; line-height: 1.6; color: #333;">
+        Hi {{user.name}},
+      </p>
+
+      <p style="line-height: 1.6; color: #555;">
+        Please confirm that this is your email address by clicking the button below.
+        The link expires in {{expiresInHours}} hours.
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{verifyUrl}}" style="${BUTTON_STYLE}">
+          Verify Email
+        </a>
+      </div>
+
+      <p style="line-height: 1.6; color: #555;">
+        If you did not create an account, you can safely ignore this email.
+      </p>
+${AUTOMATED_FOOTER}
+    </div>`,
+    text: `Hi {{user.name}},
+
+Please confirm that this is your email address by opening the link below. The link expires in {{expiresInHours}} hours.
+
+{{verifyUrl}}
+
+If you did not create an account, you can safely ignore this email.`
+  },
+
+  invitation: {
+    description: 'Invitation to join the admin panel',
+    variables: ['invitation.name', 'invitation.role', 'inviterName', 'inviteUrl', 'expiresInHours'],
+    sample: {
+      invitation: { name: 'Sam Editor', role: 'Editor' },
+      inviterName: 'Jane Admin',
+      inviteUrl: 'https://example.com/accept-invite/sample-token',
+      expiresInHours: 72
+    },
+    subject: 'You have been invited to the {{site.siteName}} admin',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="${HEADING_STYLE}">
+        You're Invited!
+      </h2>
+
+      <p style="font-size: 16px; line-height: 1.6; color: #333;">
+        Hi{{#if invitation.name}} {{invitation.name}}{{/if}},
+      </p>
+
+      <p style="line-height: 1.6; color: #555;">
+        {{inviterName}} has invited you to help manage {{site.siteName}} as
+        <strong>{{invitation.role}}</strong>. Click the button below to choose your password
+        and activate your account. The link expires in {{expiresInHours}} hours.
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{inviteUrl}}" style="${BUTTON_STYLE}">
+          Accept Invitation
+        </a>
+      </div>
+
+      <p style="line-height: 1.6; color: #555;">
+        If you were not expecting this invitation, you can safely ignore this email.
+      </p>
+${AUTOMATED_FOOTER}
+    </div>`,
+    text: `Hi{{#if invitation.name}} {{invitation.name}}{{/if}},
+
+{{inviterName}} has invited you to help manage {{site.siteName}} as {{invitation.role}}. Open the link below to choose your password and activate your account. The link expires in {{expiresInHours}} hours.
+
+{{inviteUrl}}
+
+If you were not expecting this invitation, you can safely ignore this email.`
+  },
+
+  newLoginAlert: {
+    description: 'Alert for a sign-in from a new device or location',
+    variables: ['user.name', 'time', 'ipAddress', 'userAgent'],
+    sample: {
+      user: SAMPLE_SITE_USER,
+      time: 'January 15, 2025, 10:30 AM',
+      ipAddress: '203.0.113.7',
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Firefox/121.0'
+    },
+    subject: 'New sign-in to your account',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="${HEADING_STYLE}">
+        New Sign-in to Your Account
+      </h2>
+
+      <p style="font-size: 16px; line-height: 1.6; color: #333;">
+        Hi {{user.name}},
+      </p>
+
+      <p style="line-height: 1.6; color: #555;">
+        Your account was just signed in to from a new device or location.
+      </p>
+
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Time:</strong> {{time}}</p>
+        <p><strong>IP address:</strong> {{#if ipAddress}}{{ipAddress}}{{else}}Unknown{{/if}}</p>
+        <p><strong>Device:</strong> {{#if userAgent}}{{userAgent}}{{else}}Unknown{{/if}}</p>
+      </div>
+
+      <p style="line-height: 1.6; color: #555;">
+        If this was you, no action is needed. If not, change your password right away
+        and sign out of all sessions from your profile.
+      </p>
+${AUTOMATED_FOOTER}
+    </div>`,
+    text: `Hi {{user.name}},
+
+Your account was just signed in to from a new device or location.
+
+Time: {{time}}
+IP address: {{#if ipAddress}}{{ipAddress}}{{else}}Unknown{{/if}}
+Device: {{#if userAgent}}{{userAgent}}{{else}}Unknown{{/if}}
+
+If this was you, no action is needed. If not, change your password right away and sign out of all sessions from your profile.`
+  },
+
+  magicLink: {
+    description: 'One-time sign-in link',
+    variables: ['user.name', 'loginUrl', 'expiresInMinutes'],
+    sample: {
+      user: SAMPLE_SITE_USER,
+      loginUrl: 'https://example.com/magic-link/sample-token',
+      expiresInMinutes: 15
+    },
+    subject: 'Your sign-in link',
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="${HEADING_STYLE}">
+        Your Sign-in Link
+      </h2>
+
+      <p style="font-size: 16px; line-height: 1.6; color: #333;">
+        Hi {{user.name}},
+      </p>
+
+      <p style="line-height: 1.6; color: #555;">
+        Click the button below to sign in. This link can only be used once
+        and expires in {{expiresInMinutes}} minutes.
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="{{loginUrl}}" style="${BUTTON_STYLE}">
+          Sign In
+        </a>
+      </div>
+
+      <p style="line-height: 1.6; color: #555;">
+        If you did not request this link, you can safely ignore this email.
+      </p>
+${AUTOMATED_FOOTER}
+    </div>`,
+    text: `Hi {{user.name}},
+
+Open the link below to sign in. This link can only be used once and expires in {{expiresInMinutes}} minutes.
+
+{{loginUrl}}
+
+If you did not request this link, you can safely ignore this email.`
+  }
+};
+
+const EMAIL_TEMPLATE_KEYS = Object.keys(DEFAULT_EMAIL_TEMPLATES);
+
+module.exports = {
+  DEFAULT_EMAIL_TEMPLATES,
+  EMAIL_TEMPLATE_KEYS
+};
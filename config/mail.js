@@ -0,0 +1,76 @@
+// Outgoing mail settings, read from the environment (config/config.env).
+// Getters are used so values are resolved after dotenv has loaded.
+
+const os = require('os');
+const path = require('path');
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const MAIL_TRANSPORTS = ['gmail', 'smtp', 'file', 'json', 'disabled'];
+
+module.exports = {
+  MAIL_TRANSPORTS,
+
+  // gmail | smtp | file (.eml files on disk) | json (captured in memory) | disabled
+  get transport() {
+    const transport = (process.env.MAIL_TRANSPORT || 'gmail').toLowerCase();
+    return MAIL_TRANSPORTS.includes(transport) ? transport : 'gmail';
+  },
+
+  get from() {
+    return process.env.EMAIL_FROM;
+  },
+
+  // Credentials shared by the gmail and smtp transports
+  get auth() {
+    return process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+      : undefined;
+  },
+
+  get smtp() {
+    const port = toInt(process.env.SMTP_PORT, 587);
+    return {
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      // Implicit TLS on 465; other ports upgrade with STARTTLS when offered
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465
+    };
+  },
+
+  // Directory the file transport writes .eml files to
+  get fileDir() {
+    return path.resolve(process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'portfolio-mail'));
+  },
+
+  // Messages kept in memory by the json transport (oldest dropped first)
+  get captureLimit() {
+    return toInt(process.env.MAIL_CAPTURE_LIMIT, 50);
+  },
+
+  // Background delivery of queued mail (see utils/emailQueue.js)
+  get queue() {
+    return {
+      workerEnabled: process.env.MAIL_QUEUE_WORKER !== 'false',
+      pollInterval: toInt(process.env.MAIL_QUEUE_POLL_SECONDS, 5) * 1000,
+      batchSize: toInt(process.env.MAIL_QUEUE_BATCH_SIZE, 10),
+      // Attempts before a message is dead-lettered
+      maxAttempts: toInt(process.env.MAIL_QUEUE_MAX_ATTEMPTS, 6),
+      // Retry delay doubles after each failure, starting at backoffBase, up to backoffMax
+      backoffBase: toInt(process.env.MAIL_QUEUE_BACKOFF_SECONDS, 60) * 1000,
+      backoffMax: toInt(process.env.MAIL_QUEUE_BACKOFF_MAX_MINUTES, 360) * 60 * 1000,
+      // A job stuck in "processing" this long (e.g. after a crash) is picked up again
+      lockTimeout: toInt(process.env.MAIL_QUEUE_LOCK_MINUTES, 5) * 60 * 1000,
+      // How long delivered messages stay in the delivery log
+      retention: toInt(process.env.MAIL_QUEUE_RETENTION_DAYS, 30) * 24 * 60 * 60 * 1000
+    };
+  },
+
+  // Check the transport when the server starts
+  get verifyOnStartup() {
+    return process.env.MAIL_VERIFY_ON_STARTUP !== 'false';
+  }
+};
@@ -0,0 +1,59 @@
+// Role → permission map. Routes check permissions rather than role names,
+// so adding a role only means adding an entry here and to the User enum.
+
+const PERMISSIONS = {
+  PROJECTS_READ: 'projects:read',
+  PROJECTS_WRITE: 'projects:write',
+  SKILLS_READ: 'skills:read',
+  SKILLS_WRITE: 'skills:write',
+  CONTACTS_READ: 'contacts:read',
+  CONTACTS_WRITE: 'contacts:write',
+  CONTACTS_DELETE: 'contacts:delete',
+  LEADS_READ: 'leads:read',
+  LEADS_WRITE: 'leads:write',
+  DASHBOARD_READ: 'dashboard:read',
+  SETTINGS_MANAGE: 'settings:manage',
+  USERS_MANAGE: 'users:manage',
+  APIKEYS_MANAGE: 'apikeys:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  Admin: Object.values(PERMISSIONS),
+  Editor: [
+    PERMISSIONS.PROJECTS_READ,
+    PERMISSIONS.PROJECTS_WRITE,
+    PERMISSIONS.SKILLS_READ,
+    PERMISSIONS.SKILLS_WRITE,
+    PERMISSIONS.CONTACTS_READ,
+    PERMISSIONS.CONTACTS_WRITE,
+    PERMISSIONS.LEADS_READ,
+    PERMISSIONS.LEADS_WRITE,
+    PERMISSIONS.DASHBOARD_READ
+  ],
+  Viewer: [
+    PERMISSIONS.PROJECTS_READ,
+    PERMISSIONS.SKILLS_READ,
+    PERMISSIONS.CONTACTS_READ,
+    PERMISSIONS.LEADS_READ,
+    PERMISSIONS.DASHBOARD_READ
+  ],
+  // Legacy default role: no access to the admin API
+  User: []
+};
+
+// Permissions that may be granted to an API key. Account and key
+// management stay behind an interactive login.
+const API_KEY_SCOPES = Object.values(PERMISSIONS).filter(permission =>
+  permission !== PERMISSIONS.USERS_MANAGE && permission !== PERMISSIONS.APIKEYS_MANAGE
+);
+
+const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  getRolePermissions
+};
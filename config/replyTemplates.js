@@ -0,0 +1,54 @@
+// Canned replies for answering contacts from the admin panel.
+// Rendered as plain text (see utils/templateRenderer.js) with the variables
+// {{name}}, {{subject}}, {{projectType}} and {{senderName}}
+
+const REPLY_TEMPLATES = {
+  acknowledge: {
+    label: 'Acknowledge and follow up',
+    subject: 'Re: {{subject}}',
+    message: `Hi {{name}},
+
+Thanks for getting in touch about "{{subject}}". I've read through your message and will follow up with more detail shortly.
+
+Best regards,
+{{senderName}}`
+  },
+  request_details: {
+    label: 'Ask for project details',
+    subject: 'Re: {{subject}}',
+    message: `Hi {{name}},
+
+Thanks for your interest in working together on a {{projectType}} project. To give you an accurate estimate, could you share a bit more about:
+
+- The main goals and features you have in mind
+- Your timeline
+- Your approximate budget
+
+Best regards,
+{{senderName}}`
+  },
+  schedule_call: {
+    label: 'Propose a call',
+    subject: 'Re: {{subject}}',
+    message: `Hi {{name}},
+
+Thanks for reaching out. I think the easiest next step would be a short call to go over your requirements. Let me know a few times that work for you this week.
+
+Best regards,
+{{senderName}}`
+  },
+  decline: {
+    label: 'Politely decline',
+    subject: 'Re: {{subject}}',
+    message: `Hi {{name}},
+
+Thank you for thinking of me for this project. Unfortunately I'm not able to take it on at the moment, but I wish you the best of luck with it.
+
+Best regards,
+{{senderName}}`
+  }
+};
+
+module.exports = {
+  REPLY_TEMPLATES
+};
@@ -0,0 +1,131 @@
+// Security settings, read from the environment (config/config.env).
+// Getters are used so values are resolved after dotenv has loaded.
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Lifetime of an access token (any jsonwebtoken `expiresIn` value)
+  get accessTokenExpires() {
+    return process.env.JWT_EXPIRES_IN || '15m';
+  },
+
+  // Lifetime of a refresh token (milliseconds)
+  get refreshTokenExpires() {
+    return toInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 7) * 24 * 60 * 60 * 1000;
+  },
+
+  // Lifetime of the intermediate token issued while a 2FA code is pending
+  get twoFactorChallengeExpires() {
+    return `${toInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES, 5)}m`;
+  },
+
+  // Issuer name shown in authenticator apps
+  get totpIssuer() {
+    return process.env.TOTP_ISSUER || 'Portfolio Admin';
+  },
+
+  // How long login history is kept (days)
+  get loginHistoryRetentionDays() {
+    return toInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 90);
+  },
+
+  // Email the user when a login comes from a new IP address or device
+  get newLoginAlertsEnabled() {
+    return process.env.NEW_LOGIN_ALERTS === 'true';
+  },
+
+  // Password policy applied wherever a password is set
+  get passwordPolicy() {
+    const flag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+    return {
+      minLength: toInt(process.env.PASSWORD_MIN_LENGTH, 10),
+      // bcrypt ignores everything after 72 bytes
+      maxLength: Math.min(toInt(process.env.PASSWORD_MAX_LENGTH, 72), 72),
+      requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+      requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+      requireNumber: flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+      requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+      historySize: toInt(process.env.PASSWORD_HISTORY_SIZE, 5),
+      checkCommonPasswords: flag(process.env.PASSWORD_CHECK_COMMON, true)
+    };
+  },
+
+  // Express `trust proxy` setting, so req.ip is the visitor's address rather
+  // than the proxy's. TRUST_PROXY: unset/false (direct), true (trust all),
+  // a hop count such as 1, or addresses/subnets such as "loopback, 10.0.0.0/8"
+  get trustProxy() {
+    const value = (process.env.TRUST_PROXY || '').trim();
+    if (value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
+  },
+
+  // Abuse protection for the public contact form
+  get contactProtection() {
+    return {
+      // Submissions allowed per rolling window, per IP address and per email
+      rateLimitWindow: toInt(process.env.CONTACT_RATE_LIMIT_WINDOW_MINUTES, 60) * 60 * 1000,
+      maxPerIp: toInt(process.env.CONTACT_RATE_LIMIT_PER_IP, 5),
+      maxPerEmail: toInt(process.env.CONTACT_RATE_LIMIT_PER_EMAIL, 3),
+      // Hidden field that humans leave empty
+      honeypotField: process.env.CONTACT_HONEYPOT_FIELD || 'website',
+      // Signed form token: required, minimum fill time and maximum age.
+      // Off by default so existing clients keep working; turn it on once the
+      // frontend fetches GET /api/contact/form-token and sends `formToken`.
+      requireFormToken: process.env.CONTACT_REQUIRE_FORM_TOKEN === 'true',
+      minSubmitSeconds: toInt(process.env.CONTACT_MIN_SUBMIT_SECONDS, 3),
+      formTokenMaxAge: toInt(process.env.CONTACT_FORM_TOKEN_MAX_AGE_MINUTES, 120) * 60 * 1000,
+      // Added to the spam score when the token is optional but missing or invalid
+      missingTokenPenalty: toInt(process.env.CONTACT_MISSING_TOKEN_PENALTY, 3),
+      // Heuristic score at or above which a submission is quarantined
+      spamThreshold: toInt(process.env.CONTACT_SPAM_THRESHOLD, 5)
+    };
+  },
+
+  // Failed logins allowed before the account is locked
+  get maxLoginAttempts() {
+    return toInt(process.env.MAX_LOGIN_ATTEMPTS, 5);
+  },
+
+  // How long a locked account stays locked (milliseconds)
+  get lockTime() {
+    return toInt(process.env.LOGIN_LOCK_MINUTES, 120) * 60 * 1000;
+  },
+
+  // Lifetime of a password reset link (milliseconds)
+  get resetPasswordExpires() {
+    return toInt(process.env.RESET_PASSWORD_EXPIRES_MINUTES, 15) * 60 * 1000;
+  },
+
+  // Lifetime of a passwordless login link (milliseconds)
+  get magicLinkExpires() {
+    return toInt(process.env.MAGIC_LINK_EXPIRES_MINUTES, 15) * 60 * 1000;
+  },
+
+  // Lifetime of an email verification link (milliseconds)
+  get emailVerificationExpires() {
+    return toInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 24) * 60 * 60 * 1000;
+  },
+
+  // Lifetime of an invitation link (milliseconds)
+  get invitationExpires() {
+    return toInt(process.env.INVITATION_EXPIRES_HOURS, 72) * 60 * 60 * 1000;
+  },
+
+  // Minimum wait between two verification emails for the same account (milliseconds)
+  get emailVerificationResendCooldown() {
+    return toInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 60) * 1000;
+  },
+
+  // What an unverified account is blocked from:
+  // 'off' (nothing), 'login' (cannot log in) or 'privileged' (role-gated routes)
+  get emailVerificationMode() {
+    const mode = (process.env.EMAIL_VERIFICATION_MODE || 'off').toLowerCase();
+    return ['off', 'login', 'privileged'].includes(mode) ? mode : 'off';
+  }
+};
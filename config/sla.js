@@ -0,0 +1,31 @@
+// Response-time targets for contact submissions, read from the environment
+// (config/config.env). Getters are used so values are resolved after dotenv has loaded.
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Hours allowed between submission and the first reply, per priority
+  get responseHours() {
+    return {
+      Urgent: toInt(process.env.SLA_URGENT_HOURS, 4),
+      High: toInt(process.env.SLA_HIGH_HOURS, 24),
+      Medium: toInt(process.env.SLA_MEDIUM_HOURS, 48),
+      Low: toInt(process.env.SLA_LOW_HOURS, 72)
+    };
+  },
+
+  // Background job that emails admins a digest of overdue contacts
+  get reminders() {
+    return {
+      enabled: process.env.SLA_REMINDERS !== 'false',
+      interval: toInt(process.env.SLA_REMINDER_INTERVAL_MINUTES, 60) * 60 * 1000,
+      // A contact is included in a digest again only after this long
+      cooldown: toInt(process.env.SLA_REMINDER_COOLDOWN_HOURS, 24) * 60 * 60 * 1000,
+      // Contacts listed in one digest (the total is always shown)
+      digestLimit: toInt(process.env.SLA_DIGEST_LIMIT, 50)
+    };
+  }
+};
@@ -1,58 +1,202 @@
 const User = require('../models/User');
 const Project = require('../models/Project');
 const Contact = require('../models/Contact');
-const { generateToken } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const { generateToken, generateTwoFactorChallenge, createSession } = require('../middleware/auth');
+const {
+  sendPasswordResetEmail,
+  sendMagicLinkEmail
+} = require('../utils/sendEmail');
+const { issueEmailVerification } = require('../utils/emailVerification');
+const { createThrottle } = require('../utils/requestThrottle');
+const securityConfig = require('../config/security');
+const { completeSetup } = require('../utils/setupMode');
+const { recordLoginAttempt } = require('../utils/loginActivity');
+const { validatePassword } = require('../utils/passwordPolicy');
+
+// Finish a login once the user has proven who they are (password or magic
+// link): start the 2FA challenge if enabled, otherwise issue a session.
+const completeLogin = async (req, res, user, method) => {
+  // Identity is confirmed, but the session is only issued after the 2FA step.
+  // The lockout counter is left alone until that step passes too.
+  if (user.twoFactorEnabled) {
+    const challengeId = await user.createTwoFactorChallengeId();
+
+    await recordLoginAttempt(req, { user, method, outcome: '2fa_pending' });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id, challengeId)
+      }
+    });
+  }
+
+  await user.updateLastLogin();
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  await recordLoginAttempt(req, { user, method, outcome: 'success' });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        lastLogin: user.lastLogin
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
+
+// Respond to a rejected login (AppError from the User model), recording the attempt
+const sendLoginError = async (req, res, error, method) => {
+  await recordLoginAttempt(req, {
+    user: error.user,
+    email: req.body.email,
+    method,
+    outcome: error.statusCode === 423 ? 'locked' : 'failure',
+    reason: error.message
+  });
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...(error.retryAfter && { retryAfter: error.retryAfter })
+  });
+};
+
+
 const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Runs the lockout checks; the attempt counter is reset by completeLogin
+    const user = await User.findByCredentials(email, password);
 
-    const user = await User.findOne({ email }).select('+password');
+    await completeLogin(req, res, user, 'password');
+  } catch (error) {
+    if (error.isOperational) {
+      return sendLoginError(req, res, error, 'password');
+    }
 
-    if (!user || !(await user.matchPassword(password))) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+};
+
+
+const requestMagicLink = async (req, res) => {
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    message: 'If magic link login is enabled for that email, a sign-in link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (!user || !user.magicLinkEnabled || user.isLocked) {
+      return res.status(200).json(genericResponse);
     }
 
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated'
-      });
+    const magicToken = user.createMagicLinkToken();
+    await user.save();
+
+    const loginUrl = `${process.env.CLIENT_URL}/magic-login/${magicToken}`;
+
+    try {
+      await sendMagicLinkEmail(
+        user,
+        loginUrl,
+        Math.round(securityConfig.magicLinkExpires / (60 * 1000))
+      );
+    } catch (emailError) {
+      // Logged but not reported: an error here would reveal that the account exists
+      console.error('Send magic link email error:', emailError);
+      user.magicLinkToken = null;
+      user.magicLinkExpires = null;
+      await user.save();
     }
 
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Request magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process sign-in link request'
+    });
+  }
+};
 
-    user.lastLogin = new Date();
-    await user.save();
 
+// POST rather than GET so link scanners in mail clients can't consume the token
+const verifyMagicLink = async (req, res) => {
+  try {
+    const user = await User.findByMagicLinkToken(req.body.token);
 
+    await completeLogin(req, res, user, 'magic_link');
+  } catch (error) {
+    if (error.isOperational) {
+      return sendLoginError(req, res, error, 'magic_link');
+    }
 
+    console.error('Verify magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+};
 
 
-const token = generateToken(user._id);
+const updateMagicLinkSetting = async (req, res) => {
+  try {
+    const { enabled } = req.body;
 
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide enabled as true or false'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.magicLinkEnabled = enabled;
+    if (!enabled) {
+      user.magicLinkToken = null;
+      user.magicLinkExpires = null;
+    }
+    await user.save();
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
+      message: `Magic link login ${enabled ? 'enabled' : 'disabled'}`,
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          lastLogin: user.lastLogin
-        },
-        token
+        magicLinkEnabled: user.magicLinkEnabled
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Update magic link setting error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed'
+      message: 'Failed to update magic link setting'
     });
   }
 };
@@ -62,9 +206,13 @@ const getProfile = async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
 
+    // Effective permissions let the frontend hide controls the user cannot use
     res.status(200).json({
       success: true,
-      data: user
+      data: {
+        ...user.getPublicProfile(),
+        permissions: user.getPermissions()
+      }
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -88,6 +236,16 @@ const updateProfile = async (req, res) => {
       }
     });
 
+    // A new address has to be verified again before it counts as verified
+    const emailChanged = updates.email !== undefined &&
+      String(updates.email).trim().toLowerCase() !== req.user.email;
+
+    if (emailChanged) {
+      updates.isEmailVerified = false;
+      updates.emailVerificationToken = null;
+      updates.emailVerificationExpires = null;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updates,
@@ -97,6 +255,14 @@ const updateProfile = async (req, res) => {
       }
     );
 
+    if (emailChanged) {
+      try {
+        await issueEmailVerification(user);
+      } catch (error) {
+        console.error('Send verification email error:', error);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -124,23 +290,40 @@ const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     // Check current password
-    if (!(await user.comparePassword(currentPassword))) {
+    if (!(await user.matchPassword(currentPassword))) {
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
+    const passwordErrors = await validatePassword(newPassword, { user });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the security requirements',
+        errors: passwordErrors
+      });
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Sign out every existing session, then start a fresh one for this client
+    await RefreshToken.revokeAllForUser(user._id);
+    const { token, refreshToken } = await createSession(user, req);
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -157,8 +340,8 @@ const getDashboardStats = async (req, res) => {
 
     const totalProjects = await Project.countDocuments();
     const featuredProjects = await Project.countDocuments({ featured: true });
-    const totalContacts = await Contact.countDocuments();
-    const unreadContacts = await Contact.countDocuments({ isRead: false });
+    const totalContacts = await Contact.countDocuments(Contact.inboxFilter());
+    const unreadContacts = await Contact.countDocuments(Contact.inboxFilter({ isRead: false }));
 
 
     const thirtyDaysAgo = new Date();
@@ -170,9 +353,9 @@ const getDashboardStats = async (req, res) => {
 
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const recentContacts = await Contact.countDocuments({
+    const recentContacts = await Contact.countDocuments(Contact.inboxFilter({
       createdAt: { $gte: sevenDaysAgo }
-    });
+    }));
 
 
     const projectsByCategory = await Project.aggregate([
@@ -185,6 +368,9 @@ const getDashboardStats = async (req, res) => {
     ]);
 
     const contactsByPriority = await Contact.aggregate([
+      {
+        $match: Contact.inboxFilter()
+      },
       {
         $group: {
           _id: '$priority',
@@ -199,9 +385,9 @@ const getDashboardStats = async (req, res) => {
 
     const contactTrends = await Contact.aggregate([
       {
-        $match: {
+        $match: Contact.inboxFilter({
           createdAt: { $gte: sixMonthsAgo }
-        }
+        })
       },
       {
         $group: {
@@ -256,15 +442,26 @@ const createInitialAdmin = async (req, res) => {
 
     const { name, email, password } = req.body;
 
+    const passwordErrors = await validatePassword(password, { email, name });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the security requirements',
+        errors: passwordErrors
+      });
+    }
 
-    const user = await User.create({
+    // createAdmin marks the bootstrap admin's email as verified
+    const user = await User.createAdmin({
       name,
       email,
-      password,
-      role: 'Admin'
+      password
     });
 
-    const token = generateToken(user._id);
+    // The setup token is single-use; the endpoint stays closed from now on
+    completeSetup();
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -276,7 +473,8 @@ const createInitialAdmin = async (req, res) => {
           email: user.email,
           role: user.role
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -288,11 +486,277 @@ const createInitialAdmin = async (req, res) => {
   }
 };
 
+const forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
+
+    try {
+      await sendPasswordResetEmail(
+        user,
+        resetUrl,
+        Math.round(securityConfig.resetPasswordExpires / (60 * 1000))
+      );
+    } catch (emailError) {
+      // Logged but not reported: an error here would reveal that the account exists
+      console.error('Send password reset email error:', emailError);
+      user.resetPasswordToken = null;
+      user.resetPasswordExpires = null;
+      await user.save();
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+};
+
+
+const resetPassword = async (req, res) => {
+  try {
+    const user = await User.findByResetToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    const passwordErrors = await validatePassword(req.body.password, { user });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the security requirements',
+        errors: passwordErrors
+      });
+    }
+
+    // Setting the password also bumps passwordChangedAt, which
+    // invalidates every token issued before the reset
+    user.password = req.body.password;
+    user.resetPasswordToken = null;
+    user.resetPasswordExpires = null;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
+
+
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const { rawToken, refreshToken: rotated } = await RefreshToken.rotate(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const user = await User.findById(rotated.user);
+
+    if (!user || !user.isActive || user.isLocked) {
+      await RefreshToken.revokeFamily(rotated.family);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not allowed to sign in'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: generateToken(user._id, rotated.family),
+        refreshToken: rawToken
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+};
+
+
+const logout = async (req, res) => {
+  try {
+    await RefreshToken.revokeFamily(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out'
+    });
+  }
+};
+
+
+const logoutAll = async (req, res) => {
+  try {
+    const result = await RefreshToken.revokeAllForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices successfully',
+      data: {
+        revokedCount: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out from all devices'
+    });
+  }
+};
+
+
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findByVerificationToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+};
+
+
+// Throttled per email and per IP before any lookup, so whether the request
+// is limited says nothing about whether the account exists
+const resendThrottle = createThrottle(() => securityConfig.emailVerificationResendCooldown);
+
+const resendVerificationEmail = async (req, res) => {
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    message: 'If an unverified account with that email exists, a verification link has been sent'
+  };
+
+  try {
+    const retryAfter = resendThrottle.hit([`email:${req.body.email}`, `ip:${req.ip}`]);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait before requesting another verification email',
+        retryAfter
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    // An account still in its own cooldown (e.g. a link sent on signup) gets
+    // the generic response too
+    if (!user || user.isEmailVerified || user.getVerificationResendRetryAfter() > 0) {
+      return res.status(200).json(genericResponse);
+    }
+
+    try {
+      await issueEmailVerification(user);
+    } catch (emailError) {
+      // Logged but not reported: an error here would reveal that the account exists
+      console.error('Send verification email error:', emailError);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+};
+
 module.exports = {
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  updateMagicLinkSetting,
   getProfile,
   updateProfile,
   changePassword,
   getDashboardStats,
-  createInitialAdmin
+  createInitialAdmin,
+  forgotPassword,
+  resetPassword,
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerificationEmail
 };
\ No newline at end of file
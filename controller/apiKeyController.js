@@ -0,0 +1,173 @@
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const sendApiKeyNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'API key not found'
+  });
+};
+
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an array of scopes'
+      });
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scope(s): ${invalidScopes.join(', ')}. Allowed scopes: ${API_KEY_SCOPES.join(', ')}`
+      });
+    }
+
+    // A key can never do more than the admin who created it
+    const ungrantedScopes = scopes.filter(scope => !req.user.hasPermission(scope));
+    if (ungrantedScopes.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant scope(s) you do not hold: ${ungrantedScopes.join(', ')}`
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= Date.now()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry must be a valid date in the future'
+        });
+      }
+    }
+
+    const { rawKey, apiKey } = await ApiKey.createKey({
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        apiKey,
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+};
+
+const getApiKeys = async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+
+    const query = includeRevoked === 'true' ? {} : { revokedAt: null };
+
+    const apiKeys = await ApiKey.find(query)
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API keys'
+    });
+  }
+};
+
+const rotateApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, revokedAt: null });
+
+    if (!apiKey) {
+      return sendApiKeyNotFound(res);
+    }
+
+    const rawKey = await apiKey.rotate();
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated. The previous key no longer works.',
+      data: {
+        apiKey,
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+
+    if (error.name === 'CastError') {
+      return sendApiKeyNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate API key'
+    });
+  }
+};
+
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return sendApiKeyNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+
+    if (error.name === 'CastError') {
+      return sendApiKeyNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  rotateApiKey,
+  revokeApiKey
+};
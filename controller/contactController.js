@@ -1,6 +1,41 @@
+const mongoose = require('mongoose');
 const Contact = require('../models/Contact');
-const { sendContactEmail, sendAutoReply } = require('../utils/sendEmail');
+const Lead = require('../models/Lead');
+const { sendContactReply } = require('../utils/sendEmail');
+const { queueContactEmails, processQueue } = require('../utils/emailQueue');
+const { findBreachedContacts, runSlaReminderJob } = require('../utils/slaReminders');
+const slaConfig = require('../config/sla');
 const { validationResult } = require('express-validator'); // Optional: for validation
+const securityConfig = require('../config/security');
+const { REPLY_TEMPLATES } = require('../config/replyTemplates');
+const { renderTemplate } = require('../utils/templateRenderer');
+const {
+  EXPORT_FORMATS,
+  VCARD_FIELDS,
+  parseColumns,
+  toProjection,
+  csvHeader,
+  toCsvRow,
+  toNdjsonLine,
+  toVCard
+} = require('../utils/contactExport');
+const {
+  issueFormToken,
+  verifyFormToken,
+  getSubmissionRetryAfter,
+  scoreSubmission
+} = require('../utils/spamProtection');
+
+// Public endpoint: token the contact form must send back with the submission
+const getFormToken = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      formToken: issueFormToken(),
+      honeypotField: securityConfig.contactProtection.honeypotField
+    }
+  });
+};
 
 const submitContact = async (req, res) => {
   try {
@@ -23,31 +58,84 @@ const submitContact = async (req, res) => {
       });
     }
 
+    const protection = securityConfig.contactProtection;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    // Rate limit per IP and per email; quarantined submissions count too
+    const retryAfter = await getSubmissionRetryAfter({ ipAddress, email });
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many messages. Please try again later.',
+        retryAfter
+      });
+    }
+
+    const spamReasons = [];
+
+    // Humans never see the honeypot field, so anything in it means a bot
+    if (req.body[protection.honeypotField]) {
+      spamReasons.push('Honeypot field filled');
+    }
+
+    const { score: contentScore, reasons } = await scoreSubmission({ name, email, subject, message });
+    let score = contentScore;
+
+    const formToken = verifyFormToken(req.body.formToken);
+    if (!formToken.valid) {
+      if (protection.requireFormToken) {
+        return res.status(400).json({
+          success: false,
+          message: formToken.reason
+        });
+      }
+
+      // Without a token the fill-time check can't run, so a bot could simply
+      // leave it out; count that against the submission instead
+      score += protection.missingTokenPenalty;
+      reasons.push(formToken.reason);
+    } else if (formToken.elapsedSeconds < protection.minSubmitSeconds) {
+      spamReasons.push('Form submitted too quickly');
+    }
+
+    const isSpam = spamReasons.length > 0 || score >= protection.spamThreshold;
+
+    // Only visitor-facing fields; status fields (isRead, priority, notes...) are admin-only
+    const { phone, company, projectType } = req.body;
+
     // Create contact with additional metadata
     const contactData = {
-      ...req.body,
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent'),
-      submittedAt: new Date()
+      name,
+      email,
+      subject,
+      message,
+      phone,
+      company,
+      projectType,
+      isSpam,
+      spamScore: score,
+      spamReasons: [...spamReasons, ...reasons],
+      ipAddress,
+      userAgent: req.get('User-Agent')
     };
 
     const contact = await Contact.create(contactData);
 
-    // Send emails (use Promise.allSettled to handle partial failures)
-    const emailPromises = [
-      sendContactEmail(contact),
-      sendAutoReply(contact)
-    ];
-
-    const emailResults = await Promise.allSettled(emailPromises);
-    
-    // Log email sending results
-    emailResults.forEach((result, index) => {
-      const emailType = index === 0 ? 'notification' : 'auto-reply';
-      if (result.status === 'rejected') {
-        console.error(`Failed to send ${emailType} email:`, result.reason);
+    // Quarantined submissions never trigger mail; the response is identical
+    // so bots cannot tell they were caught
+    if (!isSpam) {
+      // Mail goes through the durable queue so a provider outage or slow SMTP
+      // never loses the lead or delays this response
+      try {
+        await queueContactEmails(contact);
+        processQueue().catch((error) => {
+          console.error('Email queue error:', error.message);
+        });
+      } catch (queueError) {
+        console.error('Failed to queue contact emails:', queueError);
       }
-    });
+    }
 
     res.status(201).json({
       success: true,
@@ -80,16 +168,66 @@ const submitContact = async (req, res) => {
   }
 };
 
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const EXPORT_SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'priority', 'projectType', 'repliedAt'];
+
+const CONTACT_FILTER_KEYS = ['isRead', 'isReplied', 'priority', 'projectType', 'search', 'spam', 'archived', 'slaBreached'];
+
+// Build the MongoDB query for the inbox filters shared by listing, bulk
+// operations and export. Accepts query-string values or a JSON filter object.
+const buildContactQuery = (filters = {}) => {
+  const {
+    isRead,
+    isReplied,
+    priority,
+    projectType,
+    search,
+    spam,
+    archived,
+    slaBreached
+  } = filters;
+
+  // Quarantined spam is hidden from the inbox unless asked for with spam=true
+  const query = String(spam) === 'true' ? { isSpam: true } : Contact.inboxFilter();
+
+  // Archived contacts are hidden unless archived=true (only archived) or archived=all
+  if (String(archived) === 'true') {
+    query.isArchived = true;
+  } else if (archived !== 'all') {
+    query.isArchived = { $ne: true };
+  }
+
+  if (isRead !== undefined) query.isRead = String(isRead) === 'true';
+  if (isReplied !== undefined) query.isReplied = String(isReplied) === 'true';
+  if (priority) query.priority = String(priority);
+  if (projectType) query.projectType = String(projectType);
+
+  if (search) {
+    const pattern = escapeRegex(search);
+    query.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+      { subject: { $regex: pattern, $options: 'i' } },
+      { message: { $regex: pattern, $options: 'i' } },
+      { phone: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  // Unanswered past the response SLA for their priority (see config/sla.js)
+  if (String(slaBreached) === 'true') {
+    Object.assign(query, Contact.slaBreachedFilter());
+  }
+
+  return query;
+};
+
 const getContacts = async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
-      isRead,
-      isReplied,
-      priority,
-      projectType,
-      search,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -98,23 +236,7 @@ const getContacts = async (req, res) => {
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(100, Math.max(1, parseInt(limit))); // Max 100 items per page
 
-    let query = {};
-
-    // Build query filters
-    if (isRead !== undefined) query.isRead = isRead === 'true';
-    if (isReplied !== undefined) query.isReplied = isReplied === 'true';
-    if (priority) query.priority = priority;
-    if (projectType) query.projectType = projectType;
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { subject: { $regex: search, $options: 'i' } },
-        { message: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const query = buildContactQuery(req.query);
 
     // Build sort object
     const sortObj = {};
@@ -128,6 +250,13 @@ const getContacts = async (req, res) => {
 
     const total = await Contact.countDocuments(query);
 
+    // Flag each contact's response SLA state
+    const now = new Date();
+    const data = contacts.map(contact => ({
+      ...contact.toObject(),
+      sla: contact.getSlaStatus(now)
+    }));
+
     res.status(200).json({
       success: true,
       count: contacts.length,
@@ -136,7 +265,7 @@ const getContacts = async (req, res) => {
       currentPage: pageNum,
       hasNextPage: pageNum < Math.ceil(total / limitNum),
       hasPrevPage: pageNum > 1,
-      data: contacts
+      data
     });
   } catch (error) {
     console.error('Get contacts error:', error);
@@ -147,6 +276,110 @@ const getContacts = async (req, res) => {
   }
 };
 
+// Wait until the response can take more data. Also settles if the client
+// disconnects (no 'drain' will ever come) or the socket errors.
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    res.off('drain', onDrain);
+    res.off('close', onDrain);
+    res.off('error', onError);
+  };
+  const onDrain = () => {
+    cleanup();
+    resolve();
+  };
+  const onError = (error) => {
+    cleanup();
+    reject(error);
+  };
+
+  res.on('drain', onDrain);
+  res.on('close', onDrain);
+  res.on('error', onError);
+});
+
+// Stream contacts matching the getContacts filters as CSV, NDJSON or vCard.
+// A cursor keeps memory flat however large the inbox is.
+const exportContacts = async (req, res) => {
+  const { format = 'csv', sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+  const exportFormat = EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  const { columns, error } = parseColumns(req.query.columns);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  let cursor;
+
+  try {
+    const projection = format === 'vcard' ? VCARD_FIELDS.join(' ') : toProjection(columns);
+
+    const sortField = EXPORT_SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+
+    cursor = Contact.find(buildContactQuery(req.query))
+      .sort({ [sortField]: sortOrder === 'asc' ? 1 : -1 })
+      .select(projection)
+      .lean()
+      .cursor();
+
+    const filename = `contacts-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+    res.set({
+      'Content-Type': exportFormat.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    if (format === 'csv') {
+      res.write(csvHeader(columns));
+    }
+
+    for await (const contact of cursor) {
+      if (res.destroyed) break;
+
+      const chunk = format === 'csv'
+        ? toCsvRow(contact, columns)
+        : format === 'ndjson'
+          ? toNdjsonLine(contact, columns)
+          : toVCard(contact);
+
+      // Respect backpressure so a slow client doesn't buffer the whole export
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (!res.destroyed) {
+      res.end();
+    }
+  } catch (error) {
+    console.error('Export contacts error:', error);
+
+    // Once streaming has started, the only way to signal failure is to abort
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export contacts'
+    });
+  } finally {
+    if (cursor) {
+      cursor.close().catch(() => {});
+    }
+  }
+};
+
 const getContact = async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id).select('-__v');
@@ -158,12 +391,13 @@ const getContact = async (req, res) => {
       });
     }
 
-    // Mark as read if not already read
+    // Mark as read if not already read. A targeted update, so legacy
+    // documents that fail full validation can still be opened.
     let wasUpdated = false;
     if (!contact.isRead) {
       contact.isRead = true;
       contact.readAt = new Date();
-      await contact.save();
+      await Contact.updateOne({ _id: contact._id }, { $set: { isRead: true, readAt: contact.readAt } });
       wasUpdated = true;
     }
 
@@ -193,7 +427,8 @@ const getContact = async (req, res) => {
 
 const updateContact = async (req, res) => {
   try {
-    const allowedFields = ['isRead', 'isReplied', 'priority', 'notes', 'tags'];
+    // isSpam lets an admin release a false positive from quarantine (or flag one)
+    const allowedFields = ['isRead', 'isReplied', 'priority', 'notes', 'tags', 'isSpam', 'isArchived'];
     const updates = {};
 
     // Filter allowed fields and add timestamps
@@ -210,6 +445,9 @@ const updateContact = async (req, res) => {
     if (updates.isReplied === true && req.body.isReplied !== undefined) {
       updates.repliedAt = new Date();
     }
+    if (updates.isArchived !== undefined) {
+      updates.archivedAt = updates.isArchived === true ? new Date() : null;
+    }
 
     updates.updatedAt = new Date();
 
@@ -262,6 +500,11 @@ const deleteContact = async (req, res) => {
       });
     }
 
+    // Keep the lead it was merged into consistent
+    if (contact.lead) {
+      await Lead.updateOne({ _id: contact.lead }, { $pull: { contacts: contact._id } });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Contact deleted successfully',
@@ -287,40 +530,270 @@ const deleteContact = async (req, res) => {
   }
 };
 
+const getReplyTemplates = async (req, res) => {
+  try {
+    const templates = Object.entries(REPLY_TEMPLATES).map(([id, template]) => ({
+      id,
+      ...template
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Get reply templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reply templates'
+    });
+  }
+};
+
+const replyToContact = async (req, res) => {
+  try {
+    const { template: templateId } = req.body;
+    let { subject, message } = req.body;
+
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    // A template fills in whatever the caller did not supply explicitly
+    if (templateId) {
+      const template = REPLY_TEMPLATES[templateId];
+
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown reply template. Available: ${Object.keys(REPLY_TEMPLATES).join(', ')}`
+        });
+      }
+
+      const values = {
+        name: contact.name,
+        subject: contact.subject,
+        projectType: contact.projectType,
+        senderName: req.user.name
+      };
+
+      subject = subject || renderTemplate(template.subject, values, { html: false });
+      message = message || renderTemplate(template.message, values, { html: false });
+    }
+
+    subject = subject || `Re: ${contact.subject}`;
+
+    try {
+      await sendContactReply(contact, { subject, message });
+    } catch (emailError) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send reply email. The reply was not recorded.'
+      });
+    }
+
+    // The email is out; from here on a failure must not be reported as a
+    // failed send, or a retry would deliver the reply twice
+    let updated = null;
+    try {
+      updated = await contact.recordReply({
+        subject,
+        message,
+        template: templateId || null,
+        sentBy: req.user._id
+      });
+    } catch (recordError) {
+      console.error('Record contact reply error:', recordError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: updated
+        ? `Reply sent to ${contact.email}`
+        : `Reply sent to ${contact.email}, but it could not be added to the conversation`,
+      data: updated || contact,
+      ...(!updated && { recorded: false })
+    });
+  } catch (error) {
+    console.error('Reply to contact error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reply'
+    });
+  }
+};
+
 // Bulk operations
+const BULK_LIMIT = 1000;
+
+// Each action: `pending` matches contacts the action would change, `update` changes them
+const BULK_ACTIONS = {
+  markRead: () => ({
+    pending: { isRead: { $ne: true } },
+    update: { $set: { isRead: true, readAt: new Date() } }
+  }),
+  markUnread: () => ({
+    pending: { isRead: true },
+    update: { $set: { isRead: false, readAt: null } }
+  }),
+  markReplied: () => ({
+    pending: { isReplied: { $ne: true } },
+    update: { $set: { isReplied: true, repliedAt: new Date() } }
+  }),
+  setPriority: (priority) => ({
+    pending: { priority: { $ne: priority } },
+    update: { $set: { priority } }
+  }),
+  addTags: (tags) => ({
+    pending: { tags: { $not: { $all: tags } } },
+    update: { $addToSet: { tags: { $each: tags } } }
+  }),
+  removeTags: (tags) => ({
+    pending: { tags: { $in: tags } },
+    update: { $pullAll: { tags } }
+  }),
+  archive: () => ({
+    pending: { isArchived: { $ne: true } },
+    update: { $set: { isArchived: true, archivedAt: new Date() } }
+  }),
+  unarchive: () => ({
+    pending: { isArchived: true },
+    update: { $set: { isArchived: false, archivedAt: null } }
+  })
+};
+
+// Validate and normalise the `value` an action needs; returns { value } or { error }
+const parseBulkValue = (action, value) => {
+  if (action === 'setPriority') {
+    const priorities = Contact.schema.path('priority').enumValues;
+    return priorities.includes(value)
+      ? { value }
+      : { error: `Priority must be one of: ${priorities.join(', ')}` };
+  }
+
+  if (action === 'addTags' || action === 'removeTags') {
+    const tags = (Array.isArray(value) ? value : [value])
+      .filter(tag => typeof tag === 'string' && tag.trim())
+      .map(tag => tag.trim().toLowerCase());
+
+    return tags.length > 0
+      ? { value: [...new Set(tags)] }
+      : { error: 'Please provide one or more tags as value' };
+  }
+
+  return { value };
+};
+
+// Resolve the contacts a bulk request targets, from either `contactIds` or a
+// `filter` object (the same filters getContacts accepts). A filter with no
+// criteria is refused unless `all` is true. Returns { targets, found } or { error }.
+const resolveBulkTargets = async ({ contactIds, filter, all }) => {
+  if (Array.isArray(contactIds) && contactIds.length > 0) {
+    if (contactIds.length > BULK_LIMIT) {
+      return { error: `A bulk request can target at most ${BULK_LIMIT} contacts` };
+    }
+
+    const targets = [...new Set(contactIds.map(String))];
+    const validIds = targets.filter(id => mongoose.isValidObjectId(id));
+    const found = await Contact.find({ _id: { $in: validIds } }).distinct('_id');
+
+    return { targets, found: found.map(String) };
+  }
+
+  if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+    // An empty filter matches the whole inbox; make the caller say so
+    const hasCriteria = CONTACT_FILTER_KEYS.some(key => ![undefined, null, ''].includes(filter[key]));
+    if (!hasCriteria && all !== true) {
+      return { error: 'Filter is empty. Send "all": true to target every contact in the inbox.' };
+    }
+
+    const matches = await Contact.find(buildContactQuery(filter))
+      .sort({ createdAt: -1 })
+      .limit(BULK_LIMIT + 1)
+      .select('_id');
+
+    if (matches.length > BULK_LIMIT) {
+      return { error: `Filter matches more than ${BULK_LIMIT} contacts. Please narrow it down.` };
+    }
+
+    const found = matches.map(contact => String(contact._id));
+    return { targets: found, found };
+  }
+
+  return { error: 'Please provide an array of contact IDs or a filter object' };
+};
+
+// Per-item outcome for targets that were not acted on
+const describeMissing = (id) => ({
+  id,
+  status: mongoose.isValidObjectId(id) ? 'not_found' : 'invalid_id'
+});
+
 const bulkUpdateContacts = async (req, res) => {
   try {
-    const { contactIds, updates } = req.body;
-    
-    if (!contactIds || !Array.isArray(contactIds) || contactIds.length === 0) {
+    const { action, contactIds, filter, all } = req.body;
+
+    if (!BULK_ACTIONS[action]) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide an array of contact IDs'
+        message: `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`
       });
     }
 
-    const allowedFields = ['isRead', 'isReplied', 'priority', 'tags'];
-    const filteredUpdates = {};
-    
-    allowedFields.forEach(field => {
-      if (updates[field] !== undefined) {
-        filteredUpdates[field] = updates[field];
-      }
-    });
+    const parsed = parseBulkValue(action, req.body.value);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const resolved = await resolveBulkTargets({ contactIds, filter, all });
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const { pending, update } = BULK_ACTIONS[action](parsed.value);
+
+    const changedIds = (await Contact.find({ _id: { $in: resolved.found }, ...pending })
+      .distinct('_id')).map(String);
 
-    filteredUpdates.updatedAt = new Date();
+    if (changedIds.length > 0) {
+      await Contact.updateMany({ _id: { $in: changedIds } }, update, { runValidators: true });
+    }
 
-    const result = await Contact.updateMany(
-      { _id: { $in: contactIds } },
-      filteredUpdates
-    );
+    const changed = new Set(changedIds);
+    const found = new Set(resolved.found);
+    const results = resolved.targets.map(id => {
+      if (!found.has(id)) return describeMissing(id);
+      return { id, status: changed.has(id) ? 'updated' : 'unchanged' };
+    });
 
     res.status(200).json({
       success: true,
-      message: `${result.modifiedCount} contacts updated successfully`,
+      message: `${changedIds.length} contacts updated successfully`,
       data: {
-        matchedCount: result.matchedCount,
-        modifiedCount: result.modifiedCount
+        action,
+        matchedCount: resolved.found.length,
+        modifiedCount: changedIds.length,
+        results
       }
     });
   } catch (error) {
@@ -332,15 +805,117 @@ const bulkUpdateContacts = async (req, res) => {
   }
 };
 
+const bulkDeleteContacts = async (req, res) => {
+  try {
+    const { contactIds, filter, all } = req.body;
+
+    const resolved = await resolveBulkTargets({ contactIds, filter, all });
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const result = await Contact.deleteMany({ _id: { $in: resolved.found } });
+    await Lead.updateMany({ contacts: { $in: resolved.found } }, { $pull: { contacts: { $in: resolved.found } } });
+
+    const found = new Set(resolved.found);
+    const results = resolved.targets.map(id => {
+      return found.has(id) ? { id, status: 'deleted' } : describeMissing(id);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.deletedCount} contacts deleted successfully`,
+      data: {
+        matchedCount: resolved.found.length,
+        deletedCount: result.deletedCount,
+        deletedAt: new Date(),
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Bulk delete contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete contacts'
+    });
+  }
+};
+
+// Contacts currently unanswered past their response SLA, most overdue first
+const getSlaReport = async (req, res) => {
+  try {
+    const now = new Date();
+    const contacts = await findBreachedContacts()
+      .sort({ createdAt: 1 })
+      .limit(500)
+      .select('name email subject priority isRead isReplied repliedAt createdAt slaReminderSentAt lead');
+
+    const breaches = contacts
+      .map(contact => ({ ...contact.toObject(), sla: contact.getSlaStatus(now) }))
+      .sort((a, b) => b.sla.hoursOverdue - a.sla.hoursOverdue);
+
+    const byPriority = {};
+    breaches.forEach(contact => {
+      byPriority[contact.priority] = (byPriority[contact.priority] || 0) + 1;
+    });
+
+    res.status(200).json({
+      success: true,
+      count: breaches.length,
+      data: {
+        targetHours: slaConfig.responseHours,
+        byPriority,
+        unread: breaches.filter(contact => !contact.isRead).length,
+        contacts: breaches
+      }
+    });
+  } catch (error) {
+    console.error('Get SLA report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA report'
+    });
+  }
+};
+
+// Run the reminder digest now instead of waiting for the scheduled job
+const sendSlaReminders = async (req, res) => {
+  try {
+    const { reminded, recipients } = await runSlaReminderJob();
+
+    res.status(200).json({
+      success: true,
+      message: reminded > 0
+        ? `Reminder digest for ${reminded} contact(s) queued for ${recipients} recipient(s)`
+        : 'No overdue contacts need a reminder',
+      data: { reminded, recipients }
+    });
+  } catch (error) {
+    console.error('Send SLA reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send SLA reminders'
+    });
+  }
+};
+
 const getContactStats = async (req, res) => {
   try {
-    // Basic counts
-    const totalContacts = await Contact.countDocuments();
-    const unreadContacts = await Contact.countDocuments({ isRead: false });
-    const unrepliedContacts = await Contact.countDocuments({ isReplied: false });
+    // Basic counts (quarantined spam is excluded everywhere but its own count)
+    const totalContacts = await Contact.countDocuments(Contact.inboxFilter());
+    const unreadContacts = await Contact.countDocuments(Contact.inboxFilter({ isRead: false }));
+    const unrepliedContacts = await Contact.countDocuments(Contact.inboxFilter({ isReplied: false }));
+    const spamContacts = await Contact.countDocuments({ isSpam: true });
+    const convertedContacts = await Contact.countDocuments(Contact.inboxFilter({ lead: { $ne: null } }));
     
     // Priority stats
     const priorityStats = await Contact.aggregate([
+      {
+        $match: Contact.inboxFilter()
+      },
       {
         $group: {
           _id: '$priority',
@@ -351,6 +926,9 @@ const getContactStats = async (req, res) => {
 
     // Project type stats
     const contactsByType = await Contact.aggregate([
+      {
+        $match: Contact.inboxFilter()
+      },
       {
         $group: {
           _id: '$projectType',
@@ -373,18 +951,18 @@ const getContactStats = async (req, res) => {
 
     const timeStats = {};
     for (const [period, date] of Object.entries(timeRanges)) {
-      timeStats[period] = await Contact.countDocuments({
+      timeStats[period] = await Contact.countDocuments(Contact.inboxFilter({
         createdAt: { $gte: date }
-      });
+      }));
     }
 
     // Response time stats (average time to reply)
     const avgResponseTime = await Contact.aggregate([
       {
-        $match: {
+        $match: Contact.inboxFilter({
           isReplied: true,
           repliedAt: { $exists: true }
-        }
+        })
       },
       {
         $project: {
@@ -401,18 +979,57 @@ const getContactStats = async (req, res) => {
       }
     ]);
 
+    // SLA outcomes: a contact counts once it is replied or past its deadline
+    const slaStats = await Contact.aggregate([
+      {
+        $match: Contact.inboxFilter()
+      },
+      {
+        $project: {
+          isReplied: { $eq: ['$isReplied', true] },
+          answeredAt: { $cond: [{ $eq: ['$isReplied', true] }, { $ifNull: ['$repliedAt', now] }, now] },
+          dueAt: Contact.slaDueExpression()
+        }
+      },
+      {
+        $project: {
+          isReplied: 1,
+          breached: { $gt: ['$answeredAt', '$dueAt'] }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          settled: { $sum: { $cond: [{ $or: ['$isReplied', '$breached'] }, 1, 0] } },
+          breached: { $sum: { $cond: ['$breached', 1, 0] } },
+          openBreaches: { $sum: { $cond: [{ $and: ['$breached', { $not: ['$isReplied'] }] }, 1, 0] } }
+        }
+      }
+    ]);
+    const sla = slaStats[0] || { settled: 0, breached: 0, openBreaches: 0 };
+
     res.status(200).json({
       success: true,
       data: {
         totalContacts,
         unreadContacts,
         unrepliedContacts,
+        spamContacts,
+        convertedContacts,
+        // Share of inbox contacts promoted to a lead (pipeline: /api/admin/leads/stats)
+        conversionRate: totalContacts > 0 ? Math.round((convertedContacts / totalContacts) * 100) : null,
         priorityStats,
         contactsByType,
         timeStats,
         avgResponseTimeHours: avgResponseTime[0] 
           ? Math.round(avgResponseTime[0].avgResponseTime / (1000 * 60 * 60)) 
           : null,
+        sla: {
+          targetHours: slaConfig.responseHours,
+          breached: sla.breached,
+          openBreaches: sla.openBreaches,
+          breachRate: sla.settled > 0 ? Math.round((sla.breached / sla.settled) * 100) : null
+        },
         lastUpdated: new Date()
       }
     });
@@ -426,11 +1043,18 @@ const getContactStats = async (req, res) => {
 };
 
 module.exports = {
+  getFormToken,
   submitContact,
   getContacts,
+  exportContacts,
   getContact,
   updateContact,
   deleteContact,
+  getReplyTemplates,
+  replyToContact,
   bulkUpdateContacts,
+  bulkDeleteContacts,
+  getSlaReport,
+  sendSlaReminders,
   getContactStats
 };
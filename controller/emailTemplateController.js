@@ -0,0 +1,202 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const { DEFAULT_EMAIL_TEMPLATES } = require('../config/emailTemplates');
+const { renderEmail } = require('../utils/sendEmail');
+const { validateTemplateSyntax } = require('../utils/templateRenderer');
+
+const sendTemplateNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: `Email template not found. Available: ${Object.keys(DEFAULT_EMAIL_TEMPLATES).join(', ')}`
+  });
+};
+
+// Collect syntax problems across the parts of a template
+const getSyntaxErrors = (parts) => {
+  return Object.entries(parts).flatMap(([part, source]) => {
+    return validateTemplateSyntax(source).map(error => `${part}: ${error}`);
+  });
+};
+
+const getEmailTemplates = async (req, res) => {
+  try {
+    const overrides = await EmailTemplate.find().select('key updatedAt').lean();
+    const customized = new Map(overrides.map(override => [override.key, override.updatedAt]));
+
+    const templates = Object.entries(DEFAULT_EMAIL_TEMPLATES).map(([key, template]) => ({
+      key,
+      description: template.description,
+      variables: template.variables,
+      isCustomized: customized.has(key),
+      updatedAt: customized.get(key) || null
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email templates'
+    });
+  }
+};
+
+const getEmailTemplate = async (req, res) => {
+  try {
+    const defaults = DEFAULT_EMAIL_TEMPLATES[req.params.key];
+    if (!defaults) return sendTemplateNotFound(res);
+
+    const template = await EmailTemplate.getEffective(req.params.key);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template,
+        sample: defaults.sample,
+        default: {
+          subject: defaults.subject,
+          html: defaults.html,
+          text: defaults.text
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email template'
+    });
+  }
+};
+
+const updateEmailTemplate = async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!DEFAULT_EMAIL_TEMPLATES[key]) return sendTemplateNotFound(res);
+
+    const current = await EmailTemplate.getEffective(key);
+    const updates = {
+      subject: req.body.subject !== undefined ? req.body.subject : current.subject,
+      html: req.body.html !== undefined ? req.body.html : current.html,
+      text: req.body.text !== undefined ? req.body.text : current.text
+    };
+
+    if (!updates.subject || !updates.html) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject and HTML body cannot be empty'
+      });
+    }
+
+    const errors = getSyntaxErrors(updates);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template has syntax errors',
+        errors
+      });
+    }
+
+    await EmailTemplate.findOneAndUpdate(
+      { key },
+      { ...updates, updatedBy: req.user._id },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Email template updated successfully',
+      data: await EmailTemplate.getEffective(key)
+    });
+  } catch (error) {
+    console.error('Update email template error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update email template'
+    });
+  }
+};
+
+// Drop the override so the built-in default applies again
+const resetEmailTemplate = async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!DEFAULT_EMAIL_TEMPLATES[key]) return sendTemplateNotFound(res);
+
+    await EmailTemplate.deleteOne({ key });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email template reset to default',
+      data: await EmailTemplate.getEffective(key)
+    });
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset email template'
+    });
+  }
+};
+
+// Render a template against its sample data. Unsaved `subject`, `html` and
+// `text` in the body preview an edit; `data` overrides sample values.
+const previewEmailTemplate = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+    if (!defaults) return sendTemplateNotFound(res);
+
+    const current = await EmailTemplate.getEffective(key);
+    const source = {
+      subject: req.body.subject !== undefined ? req.body.subject : current.subject,
+      html: req.body.html !== undefined ? req.body.html : current.html,
+      text: req.body.text !== undefined ? req.body.text : current.text
+    };
+
+    const errors = getSyntaxErrors(source);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template has syntax errors',
+        errors
+      });
+    }
+
+    const data = req.body.data && typeof req.body.data === 'object'
+      ? { ...defaults.sample, ...req.body.data }
+      : defaults.sample;
+
+    res.status(200).json({
+      success: true,
+      data: await renderEmail(key, data, source)
+    });
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render email template preview'
+    });
+  }
+};
+
+module.exports = {
+  getEmailTemplates,
+  getEmailTemplate,
+  updateEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate
+};
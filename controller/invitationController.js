@@ -0,0 +1,269 @@
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { createSession } = require('../middleware/auth');
+const { sendInvitationEmail } = require('../utils/sendEmail');
+const securityConfig = require('../config/security');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { issueEmailVerification } = require('../utils/emailVerification');
+
+const sendInvitationInvalid = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Invitation link is invalid or has expired'
+  });
+};
+
+const createInvitation = async (req, res) => {
+  try {
+    const { email, name, role } = req.body;
+    const validRoles = User.schema.path('role').enumValues;
+
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${validRoles.join(', ')}`
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    const { rawToken, invitation } = await Invitation.createInvitation({
+      email,
+      name,
+      role,
+      invitedBy: req.user._id
+    });
+
+    const inviteUrl = `${process.env.CLIENT_URL}/accept-invite/${rawToken}`;
+
+    try {
+      await sendInvitationEmail(
+        invitation,
+        inviteUrl,
+        req.user.name,
+        Math.round(securityConfig.invitationExpires / (60 * 60 * 1000))
+      );
+    } catch (emailError) {
+      await Invitation.findByIdAndDelete(invitation._id);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation email'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation'
+    });
+  }
+};
+
+// Query filters matching each value of the Invitation `status` virtual
+const STATUS_FILTERS = {
+  pending: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }),
+  expired: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } }),
+  revoked: () => ({ acceptedAt: null, revokedAt: { $ne: null } }),
+  accepted: () => ({ acceptedAt: { $ne: null } }),
+  all: () => ({})
+};
+
+const getInvitations = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    if (!STATUS_FILTERS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}`
+      });
+    }
+
+    const invitations = await Invitation.find(STATUS_FILTERS[status]())
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations'
+    });
+  }
+};
+
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation'
+    });
+  }
+};
+
+// Public: lets the frontend pre-fill the accept form
+const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return sendInvitationInvalid(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitation'
+    });
+  }
+};
+
+// Public: the invitee sets their own password and gets signed in
+const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return sendInvitationInvalid(res);
+    }
+
+    const name = req.body.name || invitation.name;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const passwordErrors = await validatePassword(req.body.password, { email: invitation.email, name });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the security requirements',
+        errors: passwordErrors
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email: invitation.email,
+      password: req.body.password,
+      role: invitation.role
+    });
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    // A failed send must not undo the account; the user can ask for a resend
+    try {
+      await issueEmailVerification(user);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. Your account is ready.',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+};
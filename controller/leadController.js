@@ -0,0 +1,513 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'name', 'stage', 'estimatedValue', 'nextActionAt'];
+const EDITABLE_FIELDS = [
+  'name', 'company', 'projectType', 'estimatedValue', 'budget',
+  'nextAction', 'nextActionAt', 'owner', 'notes', 'lostReason'
+];
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sendLeadNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Lead not found'
+  });
+};
+
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
+// Pick the editable fields present in the request body
+const pickLeadFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Returns an error message if the owner cannot be assigned leads, else null
+const checkOwner = async (ownerId) => {
+  if (ownerId === null) return null;
+  if (!mongoose.isValidObjectId(ownerId)) return 'Owner must be a valid user ID';
+
+  const owner = await User.findById(ownerId).select('isActive role');
+  if (!owner || !owner.isActive) return 'Owner must be an active user';
+
+  return owner.hasPermission(PERMISSIONS.LEADS_WRITE) ? null : 'Owner must be allowed to manage leads';
+};
+
+// Copy a merged lead's owner and estimated value onto the target where the
+// target has none. Returns { carried, discarded }: the fields copied, and the
+// merged lead's values that were dropped (including its stage history).
+const mergeLeadFields = (target, other) => {
+  const carried = [];
+  const discarded = {
+    stage: other.stage,
+    stageHistory: other.stageHistory
+  };
+
+  ['owner', 'estimatedValue'].forEach(field => {
+    if (other[field] === null || other[field] === undefined) return;
+
+    if (target[field] === null || target[field] === undefined) {
+      target[field] = other[field];
+      carried.push(field);
+    } else if (String(target[field]) !== String(other[field])) {
+      discarded[field] = other[field];
+    }
+  });
+
+  return { carried, discarded };
+};
+
+// Submissions from the lead's email that are not attached to any lead yet
+const findRepeatSubmissions = (lead) => {
+  return Contact.find(Contact.inboxFilter({ email: lead.email, lead: null, _id: { $nin: lead.contacts } }))
+    .sort({ createdAt: -1 })
+    .select('name subject projectType createdAt');
+};
+
+// Promote a contact to a lead
+const createLead = async (req, res) => {
+  try {
+    const { contactId, stage, includeRepeatSubmissions } = req.body;
+
+    if (!mongoose.isValidObjectId(contactId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid contact ID'
+      });
+    }
+
+    if (stage !== undefined && !Lead.STAGES.includes(stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Stage must be one of: ${Lead.STAGES.join(', ')}`
+      });
+    }
+
+    const contact = await Contact.findById(contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    if (contact.isSpam) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quarantined contacts cannot be promoted. Release it from spam first.'
+      });
+    }
+
+    if (contact.lead) {
+      return res.status(409).json({
+        success: false,
+        message: 'Contact already belongs to a lead',
+        data: { leadId: contact.lead }
+      });
+    }
+
+    const fields = pickLeadFields(req.body);
+    if (fields.owner !== undefined) {
+      const ownerError = await checkOwner(fields.owner);
+      if (ownerError) {
+        return res.status(400).json({
+          success: false,
+          message: ownerError
+        });
+      }
+    }
+
+    const lead = await Lead.promote(contact, { owner: req.user._id, ...fields, stage }, req.user._id);
+
+    if (includeRepeatSubmissions === true) {
+      const repeats = await findRepeatSubmissions(lead);
+      await lead.attachContacts(repeats.map(repeat => repeat._id));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact promoted to lead',
+      data: lead
+    });
+  } catch (error) {
+    console.error('Create lead error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create lead'
+    });
+  }
+};
+
+const getLeads = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      stage,
+      owner,
+      projectType,
+      open,
+      overdue,
+      search,
+      sortBy = 'updatedAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Validate pagination parameters
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10)); // Max 100 items per page
+
+    const query = {};
+
+    // Build query filters
+    if (stage) query.stage = String(stage);
+    if (projectType) query.projectType = String(projectType);
+    if (owner) query.owner = owner === 'me' ? req.user._id : String(owner);
+    if (open !== undefined) {
+      query.stage = open === 'true' ? { $nin: Lead.CLOSED_STAGES } : { $in: Lead.CLOSED_STAGES };
+    }
+    if (overdue === 'true') {
+      query.nextActionAt = { $lt: new Date() };
+      query.stage = { $nin: Lead.CLOSED_STAGES };
+    }
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+        { company: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    // Build sort object
+    const sortField = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'updatedAt';
+    const sortObj = { [sortField]: sortOrder === 'asc' ? 1 : -1 };
+
+    const [leads, total] = await Promise.all([
+      Lead.find(query)
+        .sort(sortObj)
+        .limit(limitNum)
+        .skip((pageNum - 1) * limitNum)
+        .populate('owner', 'name email')
+        .select('-__v -stageHistory'),
+      Lead.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: leads.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      hasNextPage: pageNum < Math.ceil(total / limitNum),
+      hasPrevPage: pageNum > 1,
+      data: leads
+    });
+  } catch (error) {
+    console.error('Get leads error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid owner ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch leads'
+    });
+  }
+};
+
+const getLead = async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id)
+      .populate('owner', 'name email')
+      .populate('contacts', 'subject message projectType isRead isReplied createdAt')
+      .populate('stageHistory.changedBy', 'name')
+      .select('-__v');
+
+    if (!lead) return sendLeadNotFound(res);
+
+    const repeatSubmissions = await findRepeatSubmissions({
+      email: lead.email,
+      contacts: lead.contacts.map(contact => contact._id)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: lead,
+      meta: {
+        repeatSubmissions
+      }
+    });
+  } catch (error) {
+    console.error('Get lead error:', error);
+
+    if (error.name === 'CastError') {
+      return sendLeadNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lead'
+    });
+  }
+};
+
+const updateLead = async (req, res) => {
+  try {
+    const { stage } = req.body;
+
+    if (stage !== undefined && !Lead.STAGES.includes(stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Stage must be one of: ${Lead.STAGES.join(', ')}`
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+    if (!lead) return sendLeadNotFound(res);
+
+    const fields = pickLeadFields(req.body);
+    if (fields.owner !== undefined) {
+      const ownerError = await checkOwner(fields.owner);
+      if (ownerError) {
+        return res.status(400).json({
+          success: false,
+          message: ownerError
+        });
+      }
+    }
+
+    lead.set(fields);
+    if (stage !== undefined) {
+      lead.setStage(stage, req.user._id);
+    }
+
+    await lead.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Lead updated successfully',
+      data: lead
+    });
+  } catch (error) {
+    console.error('Update lead error:', error);
+
+    if (error.name === 'CastError') {
+      return sendLeadNotFound(res);
+    }
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update lead'
+    });
+  }
+};
+
+// Merge repeat submissions into a lead: explicit contact IDs, every unattached
+// submission from the lead's email (`sameEmail`), and/or other leads (`leadIds`)
+const mergeIntoLead = async (req, res) => {
+  try {
+    const { contactIds = [], sameEmail = false, leadIds = [] } = req.body;
+
+    if (!Array.isArray(contactIds) || !Array.isArray(leadIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'contactIds and leadIds must be arrays'
+      });
+    }
+
+    if (contactIds.length === 0 && leadIds.length === 0 && sameEmail !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide contactIds, leadIds or sameEmail: true'
+      });
+    }
+
+    const lead = await Lead.findById(req.params.id);
+    if (!lead) return sendLeadNotFound(res);
+
+    const results = [];
+    const toAttach = [];
+
+    for (const id of [...new Set(contactIds.map(String))]) {
+      const contact = mongoose.isValidObjectId(id) ? await Contact.findById(id).select('lead isSpam') : null;
+
+      if (!contact) {
+        results.push({ id, type: 'contact', status: 'not_found' });
+      } else if (contact.lead && String(contact.lead) !== String(lead._id)) {
+        results.push({ id, type: 'contact', status: 'belongs_to_other_lead', leadId: contact.lead });
+      } else if (contact.isSpam) {
+        results.push({ id, type: 'contact', status: 'spam' });
+      } else {
+        toAttach.push(contact._id);
+      }
+    }
+
+    if (sameEmail === true) {
+      const repeats = await findRepeatSubmissions(lead);
+      toAttach.push(...repeats.map(repeat => repeat._id));
+    }
+
+    const mergedLeads = [];
+
+    for (const id of [...new Set(leadIds.map(String))]) {
+      const other = mongoose.isValidObjectId(id) && id !== String(lead._id) ? await Lead.findById(id) : null;
+
+      if (!other) {
+        results.push({ id, type: 'lead', status: 'not_found' });
+        continue;
+      }
+
+      toAttach.push(...other.contacts);
+      if (!lead.notes && other.notes) lead.notes = other.notes;
+      mergedLeads.push({ other, ...mergeLeadFields(lead, other) });
+    }
+
+    // Save the target and re-point its contacts before removing the merged
+    // leads, so a failed save leaves everything as it was
+    const added = await lead.attachContacts(toAttach);
+    added.forEach(id => results.push({ id, type: 'contact', status: 'merged' }));
+
+    for (const { other, carried, discarded } of mergedLeads) {
+      await other.deleteOne();
+      results.push({ id: String(other._id), type: 'lead', status: 'merged', carried, discarded });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${added.length} submissions merged into lead`,
+      data: {
+        lead,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Merge lead error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    if (error.name === 'CastError') {
+      return sendLeadNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge into lead'
+    });
+  }
+};
+
+// Remove the lead; its contacts stay and become plain messages again
+const deleteLead = async (req, res) => {
+  try {
+    const lead = await Lead.findByIdAndDelete(req.params.id);
+    if (!lead) return sendLeadNotFound(res);
+
+    await Contact.updateMany({ lead: lead._id }, { $set: { lead: null } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lead deleted successfully',
+      data: {
+        deletedId: req.params.id,
+        deletedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Delete lead error:', error);
+
+    if (error.name === 'CastError') {
+      return sendLeadNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete lead'
+    });
+  }
+};
+
+const getPipelineStats = async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.owner) {
+      const ownerId = req.query.owner === 'me' ? String(req.user._id) : String(req.query.owner);
+
+      if (!mongoose.isValidObjectId(ownerId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid owner ID'
+        });
+      }
+
+      // Aggregation pipelines are not cast by Mongoose
+      match.owner = new mongoose.Types.ObjectId(ownerId);
+    }
+
+    const [report, overdueLeads, unassignedLeads] = await Promise.all([
+      Lead.getPipelineReport(match),
+      Lead.countDocuments({ ...match, stage: { $nin: Lead.CLOSED_STAGES }, nextActionAt: { $lt: new Date() } }),
+      Lead.countDocuments({ ...match, stage: { $nin: Lead.CLOSED_STAGES }, owner: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...report,
+        overdueLeads,
+        unassignedLeads,
+        lastUpdated: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Get pipeline stats error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pipeline statistics'
+    });
+  }
+};
+
+module.exports = {
+  createLead,
+  getLeads,
+  getLead,
+  updateLead,
+  mergeIntoLead,
+  deleteLead,
+  getPipelineStats
+};
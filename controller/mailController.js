@@ -0,0 +1,219 @@
+const EmailJob = require('../models/EmailJob');
+const mailConfig = require('../config/mail');
+const { sendCustomEmail } = require('../utils/sendEmail');
+const { verifyTransport, getCapturedMessages, clearCapturedMessages } = require('../utils/mailTransport');
+const { processQueue } = require('../utils/emailQueue');
+
+const sendEmailJobNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Email not found'
+  });
+};
+
+// Send a test message through the configured transport (defaults to the caller)
+const sendTestEmail = async (req, res) => {
+  try {
+    const to = req.body.to || req.user.email;
+    const sentAt = new Date();
+
+    const verification = await verifyTransport();
+    if (!verification.ok) {
+      return res.status(502).json({
+        success: false,
+        message: `Mail transport "${verification.transport}" failed verification: ${verification.error}`
+      });
+    }
+
+    const info = await sendCustomEmail(
+      to,
+      'Test email',
+      `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4F46E5; border-bottom: 2px solid #4F46E5; padding-bottom: 10px;">
+        Test Email
+      </h2>
+      <p style="line-height: 1.6; color: #555;">
+        This is a test message sent through the "${mailConfig.transport}" mail transport
+        on ${sentAt.toLocaleString()}. If you can read this, outgoing email is working.
+      </p>
+    </div>
+      `
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Test email sent to ${to}`,
+      data: {
+        transport: info.transport,
+        messageId: info.messageId || null,
+        path: info.path || null,
+        skipped: !!info.skipped,
+        sentAt
+      }
+    });
+  } catch (error) {
+    console.error('Send test email error:', error);
+    res.status(502).json({
+      success: false,
+      message: `Failed to send test email: ${error.message}`
+    });
+  }
+};
+
+// Messages captured by the json transport, newest first
+const getCapturedEmails = async (req, res) => {
+  try {
+    const messages = getCapturedMessages().reverse();
+
+    res.status(200).json({
+      success: true,
+      transport: mailConfig.transport,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    console.error('Get captured emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch captured emails'
+    });
+  }
+};
+
+const clearCapturedEmails = async (req, res) => {
+  try {
+    clearCapturedMessages();
+
+    res.status(200).json({
+      success: true,
+      message: 'Captured emails cleared'
+    });
+  } catch (error) {
+    console.error('Clear captured emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear captured emails'
+    });
+  }
+};
+
+// Delivery log: queued, sent and dead-lettered messages, newest first
+const getEmailJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, to, contact } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const query = {};
+    if (status) query.status = String(status);
+    if (to) query.to = String(to).toLowerCase();
+    if (contact) query.contact = String(contact);
+
+    const [jobs, total, statusCounts] = await Promise.all([
+      EmailJob.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limitNum)
+        .skip((pageNum - 1) * limitNum)
+        .select('-html -text -__v'),
+      EmailJob.countDocuments(query),
+      EmailJob.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      statusCounts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Get email jobs error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid contact ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery log'
+    });
+  }
+};
+
+const getEmailJob = async (req, res) => {
+  try {
+    const job = await EmailJob.findById(req.params.id).select('-__v');
+    if (!job) return sendEmailJobNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get email job error:', error);
+
+    if (error.name === 'CastError') {
+      return sendEmailJobNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email'
+    });
+  }
+};
+
+// Put a dead-lettered message back in the queue for another round of attempts
+const retryEmailJob = async (req, res) => {
+  try {
+    const job = await EmailJob.findById(req.params.id);
+    if (!job) return sendEmailJobNotFound(res);
+
+    if (job.status !== 'dead') {
+      return res.status(409).json({
+        success: false,
+        message: `Only dead-lettered emails can be retried (this one is ${job.status})`
+      });
+    }
+
+    await job.requeue();
+    processQueue().catch((error) => {
+      console.error('Email queue error:', error.message);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email queued for retry',
+      data: job
+    });
+  } catch (error) {
+    console.error('Retry email job error:', error);
+
+    if (error.name === 'CastError') {
+      return sendEmailJobNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry email'
+    });
+  }
+};
+
+module.exports = {
+  sendTestEmail,
+  getCapturedEmails,
+  clearCapturedEmails,
+  getEmailJobs,
+  getEmailJob,
+  retryEmailJob
+};
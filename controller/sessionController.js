@@ -0,0 +1,103 @@
+const RefreshToken = require('../models/RefreshToken');
+const LoginHistory = require('../models/LoginHistory');
+
+// List the current user's active sessions and devices
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await RefreshToken.findActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session,
+        isCurrent: session.sessionId === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const ownsSession = await RefreshToken.exists({
+      family: sessionId,
+      user: req.user._id
+    });
+
+    if (!ownsSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await RefreshToken.revokeFamily(sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        sessionId,
+        wasCurrent: sessionId === req.sessionId
+      }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+};
+
+// The current user's login attempts, newest first
+const getLoginHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, outcome } = req.query;
+
+    // Validate pagination parameters
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20)); // Max 100 items per page
+
+    const query = { user: req.user._id };
+    if (outcome) query.outcome = outcome;
+
+    const history = await LoginHistory.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .select('-__v -user');
+
+    const total = await LoginHistory.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      data: history
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login history'
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  getLoginHistory
+};
@@ -0,0 +1,50 @@
+const SiteSettings = require('../models/SiteSettings');
+
+const getSiteSettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await SiteSettings.getSettings()
+    });
+  } catch (error) {
+    console.error('Get site settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch site settings'
+    });
+  }
+};
+
+// Empty or null values restore the environment default for that field
+const updateSiteSettings = async (req, res) => {
+  try {
+    const settings = await SiteSettings.updateSettings(req.body, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Site settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update site settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update site settings'
+    });
+  }
+};
+
+module.exports = {
+  getSiteSettings,
+  updateSiteSettings
+};
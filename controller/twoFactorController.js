@@ -0,0 +1,263 @@
+const User = require('../models/User');
+const { verifyTwoFactorChallenge, createSession } = require('../middleware/auth');
+const { buildOtpauthUri } = require('../utils/totp');
+const { hashToken } = require('../utils/tokenUtils');
+const securityConfig = require('../config/security');
+const { recordLoginAttempt } = require('../utils/loginActivity');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Exchange a 2FA challenge token plus a TOTP or recovery code for a session
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyTwoFactorChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    // Consume the challenge atomically: a token is good for one attempt only
+    const user = await User.findOneAndUpdate(
+      { _id: challenge.id, twoFactorChallengeId: hashToken(challenge.challengeId) },
+      { $set: { twoFactorChallengeId: null } },
+      { new: true }
+    ).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    if (user.isLocked) {
+      await recordLoginAttempt(req, { user, method: '2fa', outcome: 'locked', reason: 'Account locked' });
+
+      const retryAfter = user.getLockRetryAfter();
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({
+        success: false,
+        message: 'Account temporarily locked due to too many failed login attempts',
+        retryAfter
+      });
+    }
+
+    if (!user.verifyTwoFactor({ code, recoveryCode })) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.incLoginAttempts();
+      await recordLoginAttempt(req, { user, method: '2fa', outcome: 'failure', reason: 'Invalid two-factor code' });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await user.updateLastLogin();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    await recordLoginAttempt(req, { user, method: '2fa', outcome: 'success' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          lastLogin: user.lastLogin
+        },
+        token,
+        refreshToken,
+        remainingRecoveryCodes: user.twoFactorRecoveryCodes.length
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Two-factor verification failed'
+    });
+  }
+};
+
+// Generate a pending secret and the provisioning URI for the authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = user.createTwoFactorSecret();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: securityConfig.totpIssuer
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+// Confirm enrolment with a code from the pending secret
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    if (!user.verifyTotpCode(req.body.code, user.twoFactorPendingSecret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+// Turn 2FA off; requires both the password and a current code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!user.verifyTwoFactor({ code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+// Replace all recovery codes; requires a current TOTP code
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTotpCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+};
+
+module.exports = {
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,314 @@
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const SORTABLE_FIELDS = ['createdAt', 'lastLogin', 'name', 'email', 'role'];
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sendUserNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'User not found'
+  });
+};
+
+const getUsers = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      role,
+      isActive,
+      isEmailVerified,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Validate pagination parameters
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10)); // Max 100 items per page
+
+    const query = {};
+
+    // Build query filters
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (isEmailVerified !== undefined) query.isEmailVerified = isEmailVerified === 'true';
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    // Build sort object
+    const sortField = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+    const sortObj = { [sortField]: sortOrder === 'asc' ? 1 : -1 };
+
+    const users = await User.find(query)
+      .sort(sortObj)
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum);
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      hasNextPage: pageNum < Math.ceil(total / limitNum),
+      hasPrevPage: pageNum > 1,
+      data: users.map(user => user.getPublicProfile())
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+};
+
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+
+    if (error.name === 'CastError') {
+      return sendUserNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user'
+    });
+  }
+};
+
+const getUserStats = async (req, res) => {
+  try {
+    const stats = await User.getUserStats();
+    const activeAdmins = await User.findActiveAdmins();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...stats,
+        activeAdmins: activeAdmins.map(admin => admin.getPublicProfile()),
+        lastUpdated: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Get user stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user statistics'
+    });
+  }
+};
+
+const activateUser = async (req, res) => {
+  try {
+    const user = await User.activateUser(req.params.id);
+
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User activated successfully',
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Activate user error:', error);
+
+    if (error.name === 'CastError') {
+      return sendUserNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate user'
+    });
+  }
+};
+
+const deactivateUser = async (req, res) => {
+  try {
+    const { user, lastAdmin } = await User.updateUnlessLastAdmin(req.params.id, {
+      isActive: false,
+      lockUntil: null,
+      loginAttempts: 0
+    });
+
+    if (lastAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active admin'
+      });
+    }
+
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+
+    if (error.name === 'CastError') {
+      return sendUserNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user'
+    });
+  }
+};
+
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const validRoles = User.schema.path('role').enumValues;
+
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${validRoles.join(', ')}`
+      });
+    }
+
+    const { user, lastAdmin } = await User.updateUnlessLastAdmin(req.params.id, { role });
+
+    if (lastAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot demote the last active admin'
+      });
+    }
+
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    if (error.name === 'CastError') {
+      return sendUserNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+};
+
+const deleteUser = async (req, res) => {
+  try {
+    // Deactivate first so the last-admin guard is atomic, then delete
+    const { user, lastAdmin } = await User.updateUnlessLastAdmin(req.params.id, { isActive: false });
+
+    if (lastAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active admin'
+      });
+    }
+
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    await RefreshToken.revokeAllForUser(user._id);
+    await User.findByIdAndDelete(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully',
+      data: {
+        deletedId: req.params.id,
+        deletedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+
+    if (error.name === 'CastError') {
+      return sendUserNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete user'
+    });
+  }
+};
+
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.unlockAccount(req.params.id);
+
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully',
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+
+    if (error.name === 'CastError') {
+      return sendUserNotFound(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  getUserStats,
+  activateUser,
+  deactivateUser,
+  updateUserRole,
+  deleteUser,
+  unlockUser
+};
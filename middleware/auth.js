@@ -1,44 +1,313 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const securityConfig = require('../config/security');
+const { PERMISSIONS } = require('../config/permissions');
+const { isSetupComplete, verifySetupToken } = require('../utils/setupMode');
 
 
-const adminonly = async (req, res, next) => {
-  
+// Extract the bearer token from the Authorization header
+const getTokenFromHeader = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  return null;
+};
+
+
+// Authenticate a request made with an X-API-Key header. The key acts on
+// behalf of its creator, limited to the key's scopes.
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  const apiKey = await ApiKey.findActiveByRawKey(rawKey);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  const owner = await User.findById(apiKey.createdBy);
+
+  if (!owner || !owner.isActive || owner.isLocked) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key owner is no longer allowed to access the API'
+    });
+  }
+
+  await apiKey.touch(req.ip);
+
+  req.user = owner;
+  req.apiKey = apiKey;
+  next();
+};
+
+
+const protect = async (req, res, next) => {
   try {
-    if (!req.body.user || !req.user) {
+    const token = getTokenFromHeader(req);
+    const rawApiKey = req.get('X-API-Key');
+
+    if (!token && rawApiKey) {
+      return await authenticateApiKey(rawApiKey, req, res, next);
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.name === 'TokenExpiredError'
+          ? 'Token has expired'
+          : 'Invalid token'
+      });
+    }
+
+    // Every access token belongs to a session that can be revoked server-side
+    if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User belonging to this token no longer exists'
+      });
+    }
+
+    if (!user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Access denied. Authentication required.'
+        message: 'Account is deactivated'
       });
     }
 
-    // Handle both "Admin" and "admin" cases
-    const userRole = req.body.user.role.toLowerCase()|| req.user.role.toLowerCase();
-    if (userRole !== 'admin') {
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked'
+      });
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was recently changed. Please log in again.'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    });
+  }
+};
+
+
+// Shared checks for every privileged route; returns false if a response was sent
+const checkPrivilegedAccess = (req, res) => {
+  if (!req.user) {
+    res.status(401).json({
+      success: false,
+      message: 'Access denied. Authentication required.'
+    });
+    return false;
+  }
+
+  if (securityConfig.emailVerificationMode === 'privileged' && !req.user.isEmailVerified) {
+    res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to perform this action'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+
+// Role-based authorization factory. Must run after `protect`, since it
+// only trusts the identity resolved from the verified token (`req.user`).
+const requireRole = (...roles) => {
+  const validRoles = User.schema.path('role').enumValues;
+  const unknownRoles = roles.filter(role => !validRoles.includes(role));
+
+  if (roles.length === 0 || unknownRoles.length > 0) {
+    throw new Error(`requireRole: unknown role(s) ${unknownRoles.join(', ') || '(none given)'}`);
+  }
+
+  return (req, res, next) => {
+    if (!checkPrivilegedAccess(req, res)) return;
+
+    // Role checks would bypass key scopes, so keys never pass them
+    if (req.apiKey) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: 'Access denied. API keys cannot access this route.'
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. ${roles.join(' or ')} privileges required.`
+      });
+    }
+
+    next();
+  };
+};
+
+
+// Permission-based authorization factory (see config/permissions.js).
+// The user must hold every listed permission. Must run after `protect`.
+const requirePermission = (...permissions) => {
+  const validPermissions = Object.values(PERMISSIONS);
+  const unknownPermissions = permissions.filter(permission => !validPermissions.includes(permission));
+
+  if (permissions.length === 0 || unknownPermissions.length > 0) {
+    throw new Error(`requirePermission: unknown permission(s) ${unknownPermissions.join(', ') || '(none given)'}`);
+  }
+
+  return (req, res, next) => {
+    if (!checkPrivilegedAccess(req, res)) return;
+
+    // API keys get the intersection of their scopes and the owner's permissions
+    const missing = permissions.filter(permission =>
+      !req.user.hasPermission(permission) ||
+      (req.apiKey && !req.apiKey.scopes.includes(permission))
+    );
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+
+const adminonly = requireRole('Admin');
+
+
+// For account-level routes (logout, password, 2FA...) that only make sense
+// for an interactive login session, not for an API key. Must run after `protect`.
+const requireSession = (req, res, next) => {
+  if (!req.sessionId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. This action requires an interactive login.'
+    });
+  }
+  next();
+};
+
+
+// Gate for the first-run bootstrap endpoint: closed once an admin exists,
+// otherwise requires the one-time setup token (X-Setup-Token header)
+const requireSetupToken = async (req, res, next) => {
+  try {
+    if (await isSetupComplete()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Setup has already been completed'
+      });
+    }
+
+    if (!verifySetupToken(req.get('X-Setup-Token'))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or missing setup token'
       });
     }
 
     next();
   } catch (error) {
-    console.error('Admin middleware error:', error);
+    console.error('Setup token middleware error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Server error in admin authorization'
+      message: 'Server error in setup authorization'
     });
   }
 };
 
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: securityConfig.accessTokenExpires
+  });
+};
+
+
+// Short-lived token proving the password step passed; exchanged for a
+// session once a valid 2FA code is supplied. It carries no session id,
+// so `protect` never accepts it as an access token. `challengeId` (see
+// User.createTwoFactorChallengeId) makes it single-use.
+const generateTwoFactorChallenge = (id, challengeId) => {
+  return jwt.sign({ id, purpose: '2fa', jti: challengeId }, process.env.JWT_SECRET, {
+    expiresIn: securityConfig.twoFactorChallengeExpires
+  });
+};
+
+
+// Returns { id, challengeId } from a valid challenge token, or null
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' && decoded.jti
+      ? { id: decoded.id, challengeId: decoded.jti }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+
+// Start a new session: a refresh token plus a short-lived access token bound to it
+const createSession = async (user, req) => {
+  const { rawToken, refreshToken } = await RefreshToken.issue(user._id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
   });
+
+  return {
+    token: generateToken(user._id, refreshToken.family),
+    refreshToken: rawToken
+  };
 };
 
 module.exports = {
+  protect,
+  requireRole,
+  requirePermission,
+  requireSession,
   adminonly,
-  generateToken
+  requireSetupToken,
+  generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession
 };
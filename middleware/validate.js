@@ -120,9 +120,10 @@ const validateUser = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
   
+  // Strength rules are enforced by utils/passwordPolicy.js in the controller
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+    .notEmpty()
+    .withMessage('Password is required'),
   
   handleValidationErrors
 ];
@@ -142,10 +143,114 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+// Email-only request validation rules (forgot password, resend verification)
+const validateEmailRequest = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+// Reset password validation rules
+const validateResetPassword = [
+  // Strength rules are enforced by utils/passwordPolicy.js in the controller
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+// Invitation validation rules
+const validateInvitation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  body('role')
+    .notEmpty()
+    .withMessage('Role is required'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  
+  handleValidationErrors
+];
+
+// Accept invitation validation rules
+const validateAcceptInvitation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  
+  // Strength rules are enforced by utils/passwordPolicy.js in the controller
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+// Contact reply validation rules; the message may come from a canned template
+const validateContactReply = [
+  body('template')
+    .optional()
+    .isString()
+    .withMessage('Template must be a string'),
+
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters'),
+
+  body('message')
+    .if(body('template').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Message is required unless a template is used'),
+
+  body('message')
+    .optional()
+    .isLength({ max: 10000 })
+    .withMessage('Message cannot exceed 10000 characters'),
+
+  handleValidationErrors
+];
+
+// Test email validation rules; the recipient defaults to the caller
+const validateTestEmail = [
+  body('to')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address'),
+
+  handleValidationErrors
+];
+
 module.exports = {
   validateProject,
   validateContact,
   validateUser,
   validateLogin,
+  validateEmailRequest,
+  validateResetPassword,
+  validateInvitation,
+  validateAcceptInvitation,
+  validateContactReply,
+  validateTestEmail,
   handleValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const { generateRandomToken, hashToken } = require("../utils/tokenUtils");
+
+const KEY_PREFIX = 'pk';
+
+// Scoped API key for headless clients. Only a hash of the key is stored;
+// `prefix` is kept so admins can tell keys apart in listings.
+const ApiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    prefix: {
+        type: String,
+        required: true,
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    scopes: {
+        type: [String],
+        default: [],
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedIp: {
+        type: String,
+        default: null,
+    },
+    rotatedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Indexes for better query performance
+ApiKeySchema.index({ createdBy: 1 });
+
+// Virtual for whether the key can currently be used
+ApiKeySchema.virtual('isActive').get(function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+ApiKeySchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+// Build a new raw key: pk_<public prefix>_<secret>
+const buildRawKey = () => {
+    const prefix = generateRandomToken(4);
+    return {
+        prefix: `${KEY_PREFIX}_${prefix}`,
+        rawKey: `${KEY_PREFIX}_${prefix}_${generateRandomToken(24)}`
+    };
+};
+
+// Instance method to replace the secret, keeping name, scopes and expiry
+ApiKeySchema.methods.rotate = async function() {
+    const { prefix, rawKey } = buildRawKey();
+    
+    this.prefix = prefix;
+    this.keyHash = hashToken(rawKey);
+    this.rotatedAt = new Date();
+    await this.save();
+    
+    return rawKey;
+};
+
+// Instance method to record usage, at most once a minute to limit writes
+ApiKeySchema.methods.touch = async function(ipAddress) {
+    if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) return;
+    
+    await this.updateOne({ $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress || null } });
+};
+
+// Static method to create a key (returns the raw key once, stores the hash)
+ApiKeySchema.statics.createKey = async function({ name, scopes, expiresAt, createdBy }) {
+    const { prefix, rawKey } = buildRawKey();
+    
+    const apiKey = await this.create({
+        name,
+        prefix,
+        keyHash: hashToken(rawKey),
+        scopes,
+        expiresAt: expiresAt || null,
+        createdBy
+    });
+    
+    return { rawKey, apiKey };
+};
+
+// Static method to find a usable key by its raw value
+ApiKeySchema.statics.findActiveByRawKey = async function(rawKey) {
+    const apiKey = await this.findOne({ keyHash: hashToken(rawKey), revokedAt: null });
+    return apiKey && apiKey.isActive ? apiKey : null;
+};
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
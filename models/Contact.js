@@ -1,27 +1,244 @@
 const mongoose = require("mongoose");
+const slaConfig = require("../config/sla");
+
+// One outbound message in the conversation with the contact
+const ContactReplySchema = new mongoose.Schema({
+    subject: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200,
+    },
+    message: {
+        type: String,
+        required: true,
+        maxlength: 10000,
+    },
+    template: {
+        type: String,
+        default: null,
+    },
+    sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
 
 const ContactSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
+        trim: true,
+        maxlength: 50,
     },
     email: {
         type: String,
         required: true,
+        lowercase: true,
+        trim: true,
         // Remove unique: true to allow multiple contacts from same email
     },
     subject: {
         type: String,
         required: true,
+        trim: true,
+        maxlength: 100,
     },
     message: {
         type: String,
         required: true,
+        trim: true,
+        maxlength: 1000,
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: null,
+    },
+    company: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: null,
     },
-    createdAt: {
+    projectType: {
+        type: String,
+        enum: ['Web Development', 'Mobile App', 'Desktop App', 'Consultation', 'Other'],
+        default: 'Other',
+    },
+    priority: {
+        type: String,
+        enum: ['Low', 'Medium', 'High', 'Urgent'],
+        default: 'Medium',
+    },
+    isRead: {
+        type: Boolean,
+        default: false,
+    },
+    readAt: {
         type: Date,
-        default: Date.now,
+        default: null,
+    },
+    isReplied: {
+        type: Boolean,
+        default: false,
     },
+    repliedAt: {
+        type: Date,
+        default: null,
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+        default: '',
+    },
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+    }],
+    // Replies sent from the admin panel, oldest first
+    conversation: {
+        type: [ContactReplySchema],
+        default: [],
+    },
+    // Archived contacts are handled and hidden from the inbox, but still count in the stats
+    isArchived: {
+        type: Boolean,
+        default: false,
+    },
+    archivedAt: {
+        type: Date,
+        default: null,
+    },
+    // Last time this contact was included in an SLA reminder digest
+    slaReminderSentAt: {
+        type: Date,
+        default: null,
+    },
+    // Lead this submission belongs to, once promoted (see models/Lead.js)
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        default: null,
+    },
+    // Quarantined submissions are kept for review but hidden from the inbox and stats
+    isSpam: {
+        type: Boolean,
+        default: false,
+    },
+    spamScore: {
+        type: Number,
+        default: 0,
+    },
+    spamReasons: [{
+        type: String,
+    }],
+    ipAddress: {
+        type: String,
+        default: null,
+    },
+    userAgent: {
+        type: String,
+        default: null,
+    },
+}, {
+    timestamps: true
 });
 
+// Indexes for better query performance
+ContactSchema.index({ createdAt: -1 });
+ContactSchema.index({ isRead: 1, createdAt: -1 });
+ContactSchema.index({ isReplied: 1, createdAt: -1 });
+ContactSchema.index({ priority: 1 });
+ContactSchema.index({ projectType: 1 });
+ContactSchema.index({ email: 1 });
+ContactSchema.index({ tags: 1 });
+ContactSchema.index({ isSpam: 1, createdAt: -1 });
+ContactSchema.index({ isArchived: 1, createdAt: -1 });
+ContactSchema.index({ lead: 1 });
+ContactSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Static method to build a filter for non-quarantined contacts.
+// `$ne: true` also matches documents created before the field existed.
+ContactSchema.statics.inboxFilter = function(extra = {}) {
+    return { isSpam: { $ne: true }, ...extra };
+};
+
+// Static method to build an aggregation expression for the reply deadline
+// (createdAt plus the response time configured for the contact's priority).
+// Computed rather than stored, so changing a priority or SLA applies at once.
+ContactSchema.statics.slaDueExpression = function() {
+    const hours = slaConfig.responseHours;
+
+    return {
+        $add: ['$createdAt', {
+            $switch: {
+                branches: Object.entries(hours).map(([priority, value]) => ({
+                    case: { $eq: ['$priority', priority] },
+                    then: value * 60 * 60 * 1000,
+                })),
+                default: hours.Medium * 60 * 60 * 1000,
+            }
+        }]
+    };
+};
+
+// Static method to build a filter for contacts still awaiting a reply past their deadline
+ContactSchema.statics.slaBreachedFilter = function(now = new Date()) {
+    return {
+        isReplied: { $ne: true },
+        $expr: { $lt: [this.slaDueExpression(), now] },
+    };
+};
+
+// Instance method to describe the contact's SLA state
+ContactSchema.methods.getSlaStatus = function(now = new Date()) {
+    const hours = slaConfig.responseHours;
+    const targetHours = hours[this.priority] || hours.Medium;
+    const dueAt = new Date(this.createdAt.getTime() + targetHours * 60 * 60 * 1000);
+    const answeredAt = this.isReplied ? (this.repliedAt || now) : now;
+
+    return {
+        targetHours,
+        dueAt,
+        // Replied late, or still unanswered past the deadline
+        breached: answeredAt > dueAt,
+        hoursOverdue: answeredAt > dueAt
+            ? Math.round(((answeredAt - dueAt) / (60 * 60 * 1000)) * 10) / 10
+            : 0,
+    };
+};
+
+// Instance method to append an outbound reply; the first reply sets repliedAt,
+// which is what the average response time in the stats is measured against.
+// A single atomic update rather than save(): the reply has usually been sent
+// already, so recording it must not fail on a version conflict or on a legacy
+// document that no longer passes full validation. Resolves to the updated contact.
+ContactSchema.methods.recordReply = function({ subject, message, template, sentBy }) {
+    const now = new Date();
+    const entry = this.conversation.create({ subject, message, template, sentBy, sentAt: now }).toObject();
+
+    return this.constructor.findByIdAndUpdate(
+        this._id,
+        [{
+            $set: {
+                // $literal so reply text starting with "$" is not read as a field path
+                conversation: { $concatArrays: [{ $ifNull: ['$conversation', []] }, [{ $literal: entry }]] },
+                isReplied: true,
+                repliedAt: { $ifNull: ['$repliedAt', now] },
+                isRead: true,
+                readAt: { $ifNull: ['$readAt', now] },
+            },
+        }],
+        { new: true }
+    );
+};
+
 module.exports = mongoose.model("Contact", ContactSchema);
@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+const mailConfig = require("../config/mail");
+
+// One outgoing email, rendered at enqueue time and delivered by the worker
+// in utils/emailQueue.js. Doubles as the delivery log.
+//   pending → processing → sent
+//                        ↘ pending (retry with backoff) … → dead
+const EmailJobSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    subject: {
+        type: String,
+        required: true,
+    },
+    html: {
+        type: String,
+        required: true,
+    },
+    text: {
+        type: String,
+        default: '',
+    },
+    // Template key the message was rendered from, if any
+    template: {
+        type: String,
+        default: null,
+    },
+    // Contact the message is about, if any
+    contact: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contact',
+        default: null,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'dead'],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    maxAttempts: {
+        type: Number,
+        default: () => mailConfig.queue.maxAttempts,
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lockedAt: {
+        type: Date,
+        default: null,
+    },
+    lastError: {
+        type: String,
+        default: null,
+    },
+    attemptLog: [{
+        _id: false,
+        at: Date,
+        error: String,
+    }],
+    transport: {
+        type: String,
+        default: null,
+    },
+    messageId: {
+        type: String,
+        default: null,
+    },
+    sentAt: {
+        type: Date,
+        default: null,
+    },
+    // Set once delivered; MongoDB then purges the job after the retention period
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+EmailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailJobSchema.index({ status: 1, lockedAt: 1 });
+EmailJobSchema.index({ contact: 1, createdAt: -1 });
+EmailJobSchema.index({ createdAt: -1 });
+EmailJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically claim the next due job (or one whose worker died)
+EmailJobSchema.statics.claimNext = async function() {
+    const now = new Date();
+
+    return await this.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - mailConfig.queue.lockTimeout) } }
+            ]
+        },
+        {
+            $set: { status: 'processing', lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+// Instance method to record a successful delivery
+EmailJobSchema.methods.markSent = async function(info = {}) {
+    this.status = 'sent';
+    this.sentAt = new Date();
+    this.lockedAt = null;
+    this.transport = info.transport || null;
+    this.messageId = info.messageId || null;
+    this.expiresAt = new Date(Date.now() + mailConfig.queue.retention);
+
+    return await this.save();
+};
+
+// Instance method to record a failure: retry with exponential backoff,
+// or dead-letter the job once it has used all its attempts
+EmailJobSchema.methods.markFailed = async function(error) {
+    const message = error && error.message ? error.message : String(error);
+    const { backoffBase, backoffMax } = mailConfig.queue;
+
+    this.lastError = message;
+    this.attemptLog.push({ at: new Date(), error: message });
+    this.lockedAt = null;
+
+    if (this.attempts >= this.maxAttempts) {
+        this.status = 'dead';
+    } else {
+        const delay = Math.min(backoffBase * 2 ** (this.attempts - 1), backoffMax);
+        // Jitter so a provider outage doesn't end in a burst of simultaneous retries
+        const jitter = Math.round(delay * 0.1 * Math.random());
+        this.status = 'pending';
+        this.nextAttemptAt = new Date(Date.now() + delay + jitter);
+    }
+
+    return await this.save();
+};
+
+// Instance method to put a dead-lettered job back in the queue
+EmailJobSchema.methods.requeue = async function() {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date();
+    this.maxAttempts = this.attempts + mailConfig.queue.maxAttempts;
+    this.lockedAt = null;
+
+    return await this.save();
+};
+
+module.exports = mongoose.model("EmailJob", EmailJobSchema);
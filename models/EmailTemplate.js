@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const { DEFAULT_EMAIL_TEMPLATES, EMAIL_TEMPLATE_KEYS } = require("../config/emailTemplates");
+
+// Admin overrides of the built-in templates in config/emailTemplates.js.
+// A key without a document here uses the built-in default.
+const EmailTemplateSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        enum: EMAIL_TEMPLATE_KEYS,
+    },
+    subject: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 300,
+    },
+    html: {
+        type: String,
+        required: true,
+        maxlength: 50000,
+    },
+    // Optional: derived from the HTML when empty
+    text: {
+        type: String,
+        default: '',
+        maxlength: 50000,
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+}, {
+    timestamps: true
+});
+
+// Static method to get the template in effect for a key (override or default)
+EmailTemplateSchema.statics.getEffective = async function(key) {
+    const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+    if (!defaults) {
+        throw new Error(`Unknown email template: ${key}`);
+    }
+
+    const override = await this.findOne({ key }).lean();
+
+    return {
+        key,
+        description: defaults.description,
+        variables: defaults.variables,
+        subject: override ? override.subject : defaults.subject,
+        html: override ? override.html : defaults.html,
+        text: override ? override.text : defaults.text,
+        isCustomized: !!override,
+        updatedAt: override ? override.updatedAt : null
+    };
+};
+
+module.exports = mongoose.model("EmailTemplate", EmailTemplateSchema);
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const securityConfig = require("../config/security");
+const { generateRandomToken, hashToken } = require("../utils/tokenUtils");
+
+const InvitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: null,
+    },
+    role: {
+        type: String,
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    acceptedAt: {
+        type: Date,
+        default: null,
+    },
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Indexes for better query performance
+InvitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// Virtual for the invitation's current state
+InvitationSchema.virtual('status').get(function() {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt <= Date.now()) return 'expired';
+    return 'pending';
+});
+
+InvitationSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+// Query helper for invitations that can still be accepted
+InvitationSchema.query.pending = function() {
+    return this.where({
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Static method to create an invitation (returns the raw token, stores the hash)
+InvitationSchema.statics.createInvitation = async function({ email, name, role, invitedBy }) {
+    // Only the newest invitation for an address stays usable
+    await this.updateMany(
+        { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    
+    const rawToken = generateRandomToken();
+    
+    const invitation = await this.create({
+        email,
+        name: name || null,
+        role,
+        invitedBy,
+        tokenHash: hashToken(rawToken),
+        expiresAt: new Date(Date.now() + securityConfig.invitationExpires)
+    });
+    
+    return { rawToken, invitation };
+};
+
+// Static method to find a pending invitation by its raw token
+InvitationSchema.statics.findPendingByToken = async function(rawToken) {
+    return await this.findOne({ tokenHash: hashToken(rawToken) }).pending();
+};
+
+module.exports = mongoose.model("Invitation", InvitationSchema);
@@ -0,0 +1,240 @@
+const mongoose = require("mongoose");
+const Contact = require("./Contact");
+
+const LEAD_STAGES = ['New', 'Qualified', 'Proposal', 'Won', 'Lost'];
+const CLOSED_STAGES = ['Won', 'Lost'];
+
+// A tracked opportunity, promoted from one or more contact submissions
+// from the same person
+const LeadSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    company: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: null,
+    },
+    projectType: {
+        type: String,
+        enum: Contact.schema.path('projectType').enumValues,
+        default: 'Other',
+    },
+    stage: {
+        type: String,
+        enum: LEAD_STAGES,
+        default: 'New',
+    },
+    stageHistory: [{
+        _id: false,
+        stage: {
+            type: String,
+            enum: LEAD_STAGES,
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    }],
+    estimatedValue: {
+        type: Number,
+        min: 0,
+        default: null,
+    },
+    budget: {
+        min: {
+            type: Number,
+            min: 0,
+            default: null,
+        },
+        max: {
+            type: Number,
+            min: 0,
+            default: null,
+            validate: {
+                validator: function(value) {
+                    const min = this.budget && this.budget.min;
+                    return value === null || min === null || min === undefined || value >= min;
+                },
+                message: 'Budget maximum cannot be less than the minimum',
+            },
+        },
+    },
+    nextAction: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: null,
+    },
+    nextActionAt: {
+        type: Date,
+        default: null,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    contacts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contact',
+    }],
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 5000,
+        default: '',
+    },
+    lostReason: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: null,
+    },
+    closedAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+LeadSchema.index({ email: 1 });
+LeadSchema.index({ stage: 1, updatedAt: -1 });
+LeadSchema.index({ owner: 1, stage: 1 });
+LeadSchema.index({ nextActionAt: 1 });
+LeadSchema.index({ contacts: 1 });
+
+LeadSchema.statics.STAGES = LEAD_STAGES;
+LeadSchema.statics.CLOSED_STAGES = CLOSED_STAGES;
+
+// Virtual for whether the lead is still being worked on
+LeadSchema.virtual('isOpen').get(function() {
+    return !CLOSED_STAGES.includes(this.stage);
+});
+
+// Instance method to move the lead to a stage, keeping the history and close date
+LeadSchema.methods.setStage = function(stage, changedBy = null) {
+    if (stage === this.stage && this.stageHistory.length > 0) return;
+
+    this.stage = stage;
+    this.stageHistory.push({ stage, changedAt: new Date(), changedBy });
+    this.closedAt = CLOSED_STAGES.includes(stage) ? new Date() : null;
+    if (stage !== 'Lost') this.lostReason = null;
+};
+
+// Instance method to attach contacts to the lead and point them back at it.
+// Saves the lead (with any other pending changes) before touching the
+// contacts, so a failed save never leaves them pointing at the wrong lead.
+LeadSchema.methods.attachContacts = async function(contactIds) {
+    const known = new Set(this.contacts.map(String));
+    const added = [...new Set(contactIds.map(String))].filter(id => !known.has(id));
+
+    this.contacts.push(...added);
+    await this.save();
+
+    if (added.length > 0) {
+        await Contact.updateMany({ _id: { $in: added } }, { $set: { lead: this._id } });
+    }
+
+    return added;
+};
+
+// Static method to promote a contact to a new lead
+LeadSchema.statics.promote = async function(contact, fields = {}, createdBy = null) {
+    const lead = new this({
+        name: contact.name,
+        email: contact.email,
+        company: contact.company,
+        projectType: contact.projectType,
+        owner: createdBy,
+        ...fields,
+    });
+
+    lead.setStage(fields.stage || 'New', createdBy);
+    await lead.attachContacts([contact._id]);
+
+    return lead;
+};
+
+// Static method for the pipeline report: totals by stage and by project type
+LeadSchema.statics.getPipelineReport = async function(match = {}) {
+    const [byStage, byProjectType] = await Promise.all([
+        this.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$stage',
+                    count: { $sum: 1 },
+                    totalValue: { $sum: { $ifNull: ['$estimatedValue', 0] } },
+                    avgValue: { $avg: '$estimatedValue' },
+                }
+            },
+        ]),
+        this.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { projectType: '$projectType', stage: '$stage' },
+                    count: { $sum: 1 },
+                    totalValue: { $sum: { $ifNull: ['$estimatedValue', 0] } },
+                }
+            },
+            { $sort: { '_id.projectType': 1 } },
+        ]),
+    ]);
+
+    // Every stage appears in the report, in pipeline order, even when empty
+    const stages = LEAD_STAGES.map(stage => {
+        const row = byStage.find(item => item._id === stage);
+        return {
+            stage,
+            count: row ? row.count : 0,
+            totalValue: row ? row.totalValue : 0,
+            avgValue: row && row.avgValue !== null ? Math.round(row.avgValue) : null,
+        };
+    });
+
+    const projectTypes = {};
+    byProjectType.forEach(({ _id, count, totalValue }) => {
+        if (!projectTypes[_id.projectType]) {
+            projectTypes[_id.projectType] = { projectType: _id.projectType, count: 0, totalValue: 0, stages: {} };
+        }
+        const entry = projectTypes[_id.projectType];
+        entry.count += count;
+        entry.totalValue += totalValue;
+        entry.stages[_id.stage] = count;
+    });
+
+    const won = stages.find(row => row.stage === 'Won');
+    const lost = stages.find(row => row.stage === 'Lost');
+    const closed = won.count + lost.count;
+
+    return {
+        byStage: stages,
+        byProjectType: Object.values(projectTypes),
+        openValue: stages
+            .filter(row => !CLOSED_STAGES.includes(row.stage))
+            .reduce((sum, row) => sum + row.totalValue, 0),
+        wonValue: won.totalValue,
+        winRate: closed > 0 ? Math.round((won.count / closed) * 100) : null,
+    };
+};
+
+module.exports = mongoose.model("Lead", LeadSchema);
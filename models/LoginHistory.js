@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const securityConfig = require("../config/security");
+
+// One document per login attempt, successful or not
+const LoginHistorySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null,
+    },
+    method: {
+        type: String,
+        enum: ['password', 'magic_link', '2fa'],
+        default: 'password',
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'failure', 'locked', '2fa_pending'],
+        required: true,
+    },
+    reason: {
+        type: String,
+        default: null,
+    },
+    ipAddress: {
+        type: String,
+        default: null,
+    },
+    userAgent: {
+        type: String,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Indexes for better query performance
+LoginHistorySchema.index({ user: 1, createdAt: -1 });
+LoginHistorySchema.index({ user: 1, outcome: 1, ipAddress: 1, userAgent: 1 });
+// Drop old entries automatically
+LoginHistorySchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: securityConfig.loginHistoryRetentionDays * 24 * 60 * 60 }
+);
+
+// Static method to check whether a user has logged in from this IP and device before
+LoginHistorySchema.statics.isKnownDevice = async function(userId, ipAddress, userAgent) {
+    const previous = await this.exists({
+        user: userId,
+        outcome: 'success',
+        ipAddress,
+        userAgent
+    });
+    return !!previous;
+};
+
+// Static method to check whether the user has ever logged in successfully
+LoginHistorySchema.statics.hasPreviousLogin = async function(userId) {
+    const previous = await this.exists({ user: userId, outcome: 'success' });
+    return !!previous;
+};
+
+module.exports = mongoose.model("LoginHistory", LoginHistorySchema);
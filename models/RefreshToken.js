@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const securityConfig = require("../config/security");
+const AppError = require("../utils/errorHandler");
+const { generateRandomToken, hashToken } = require("../utils/tokenUtils");
+
+// One document per issued refresh token. Tokens created by rotating the same
+// login share a `family`, which is also the session id embedded in access tokens.
+const RefreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    family: {
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    replacedByHash: {
+        type: String,
+        default: null,
+    },
+    createdByIp: {
+        type: String,
+        default: null,
+    },
+    userAgent: {
+        type: String,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Indexes for better query performance
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// Let MongoDB purge expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be used
+RefreshTokenSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to issue a new refresh token (returns the raw token, stores the hash)
+RefreshTokenSchema.statics.issue = async function(userId, { family, ipAddress, userAgent } = {}) {
+    const rawToken = generateRandomToken(48);
+    
+    const refreshToken = await this.create({
+        user: userId,
+        tokenHash: hashToken(rawToken),
+        family: family || generateRandomToken(16),
+        expiresAt: new Date(Date.now() + securityConfig.refreshTokenExpires),
+        createdByIp: ipAddress || null,
+        userAgent: userAgent || null
+    });
+    
+    return { rawToken, refreshToken };
+};
+
+// Static method to find a refresh token document by its raw value
+RefreshTokenSchema.statics.findByRawToken = async function(rawToken) {
+    return await this.findOne({ tokenHash: hashToken(rawToken) });
+};
+
+// Static method to exchange a refresh token for a new one in the same family.
+// Presenting a token that was already rotated means it leaked, so the whole
+// session is revoked.
+RefreshTokenSchema.statics.rotate = async function(rawToken, { ipAddress, userAgent } = {}) {
+    const current = await this.findByRawToken(rawToken);
+    
+    if (!current) {
+        throw new AppError('Invalid refresh token', 401);
+    }
+    
+    if (current.revokedAt) {
+        if (current.replacedByHash) {
+            await this.revokeFamily(current.family);
+            throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+        }
+        throw new AppError('Refresh token has been revoked', 401);
+    }
+    
+    if (current.expiresAt <= Date.now()) {
+        throw new AppError('Refresh token has expired', 401);
+    }
+    
+    const { rawToken: newRawToken, refreshToken } = await this.issue(current.user, {
+        family: current.family,
+        ipAddress,
+        userAgent
+    });
+    
+    // Only revoke if nobody else rotated it concurrently
+    const revoked = await this.findOneAndUpdate(
+        { _id: current._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), replacedByHash: refreshToken.tokenHash } }
+    );
+    
+    if (!revoked) {
+        await this.revokeFamily(current.family);
+        throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+    }
+    
+    return { rawToken: newRawToken, refreshToken };
+};
+
+// Static method to check whether a session (token family) is still alive
+RefreshTokenSchema.statics.isSessionActive = async function(family) {
+    const activeToken = await this.exists({
+        family,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    return !!activeToken;
+};
+
+// Static method to revoke every token in a session
+RefreshTokenSchema.statics.revokeFamily = async function(family) {
+    // An empty filter would revoke every session in the collection
+    if (!family) {
+        throw new Error('revokeFamily requires a session id');
+    }
+    
+    return await this.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+// Static method to revoke every session belonging to a user
+RefreshTokenSchema.statics.revokeAllForUser = async function(userId) {
+    return await this.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+// Static method to list a user's active sessions (one entry per token family)
+RefreshTokenSchema.statics.findActiveSessions = async function(userId) {
+    return await this.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+        { $sort: { createdAt: 1 } },
+        {
+            $group: {
+                _id: '$family',
+                createdAt: { $first: '$createdAt' },
+                lastActiveAt: { $last: '$createdAt' },
+                ipAddress: { $last: '$createdByIp' },
+                userAgent: { $last: '$userAgent' },
+                expiresAt: { $max: '$expiresAt' },
+                activeTokens: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $eq: ['$revokedAt', null] }, { $gt: ['$expiresAt', new Date()] }] },
+                            1,
+                            0
+                        ]
+                    }
+                }
+            }
+        },
+        { $match: { activeTokens: { $gt: 0 } } },
+        { $sort: { lastActiveAt: -1 } },
+        {
+            $project: {
+                _id: 0,
+                sessionId: '$_id',
+                createdAt: 1,
+                lastActiveAt: 1,
+                ipAddress: 1,
+                userAgent: 1,
+                expiresAt: 1
+            }
+        }
+    ]);
+};
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
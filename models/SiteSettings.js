@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// Single document holding site-wide values used by email templates
+// (available as {{site.*}}). Unset fields fall back to the environment.
+const SiteSettingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'site',
+        unique: true,
+        immutable: true,
+    },
+    siteName: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+    },
+    siteUrl: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+    },
+    ownerName: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+    },
+    ownerTitle: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+    },
+    responseTime: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+}, {
+    timestamps: true
+});
+
+const EDITABLE_FIELDS = ['siteName', 'siteUrl', 'ownerName', 'ownerTitle', 'responseTime'];
+
+const getDefaults = () => ({
+    siteName: process.env.SITE_NAME || 'My Portfolio',
+    siteUrl: process.env.CLIENT_URL || '',
+    ownerName: process.env.SITE_OWNER_NAME || 'Portfolio Owner',
+    ownerTitle: process.env.SITE_OWNER_TITLE || 'Full Stack Developer',
+    responseTime: process.env.SITE_RESPONSE_TIME || '24-48 hours'
+});
+
+SiteSettingsSchema.statics.EDITABLE_FIELDS = EDITABLE_FIELDS;
+
+// Static method to get the effective settings (stored values over defaults)
+SiteSettingsSchema.statics.getSettings = async function() {
+    const stored = await this.findOne({ key: 'site' }).lean();
+    const settings = getDefaults();
+
+    if (stored) {
+        EDITABLE_FIELDS.forEach(field => {
+            if (stored[field]) settings[field] = stored[field];
+        });
+    }
+
+    return settings;
+};
+
+// Static method to update the stored settings; empty values restore the default
+SiteSettingsSchema.statics.updateSettings = async function(updates, updatedBy) {
+    const $set = { updatedBy };
+    const $unset = {};
+
+    EDITABLE_FIELDS.forEach(field => {
+        if (updates[field] === undefined) return;
+        if (updates[field] === null || updates[field] === '') {
+            $unset[field] = '';
+        } else {
+            $set[field] = updates[field];
+        }
+    });
+
+    await this.findOneAndUpdate(
+        { key: 'site' },
+        { $set, $unset },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return this.getSettings();
+};
+
+module.exports = mongoose.model("SiteSettings", SiteSettingsSchema);
@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const securityConfig = require("../config/security");
+const AppError = require("../utils/errorHandler");
+const { generateRandomToken, hashToken } = require("../utils/tokenUtils");
+const totp = require("../utils/totp");
+const { ROLE_PERMISSIONS, getRolePermissions } = require("../config/permissions");
 
 const UserSchema = new mongoose.Schema({
     name: {
@@ -27,7 +32,7 @@ const UserSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['User', 'Admin'],
+        enum: Object.keys(ROLE_PERMISSIONS),
         default: 'User',
     },
     isActive: {
@@ -46,10 +51,40 @@ const UserSchema = new mongoose.Schema({
         type: Date,
         default: null,
     },
+    passwordChangedAt: {
+        type: Date,
+        default: null,
+    },
+    // Most recent password hashes first, including the current one
+    passwordHistory: {
+        type: [String],
+        default: [],
+        select: false,
+    },
+    magicLinkEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    magicLinkToken: {
+        type: String,
+        default: null,
+    },
+    magicLinkExpires: {
+        type: Date,
+        default: null,
+    },
     emailVerificationToken: {
         type: String,
         default: null,
     },
+    emailVerificationExpires: {
+        type: Date,
+        default: null,
+    },
+    emailVerificationSentAt: {
+        type: Date,
+        default: null,
+    },
     isEmailVerified: {
         type: Boolean,
         default: false,
@@ -70,6 +105,35 @@ const UserSchema = new mongoose.Schema({
         type: Date,
         default: null,
     },
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: {
+        type: String,
+        default: null,
+        select: false,
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+    },
+    twoFactorRecoveryCodes: {
+        type: [String],
+        default: [],
+        select: false,
+    },
+    twoFactorLastUsedStep: {
+        type: Number,
+        default: null,
+        select: false,
+    },
+    twoFactorChallengeId: {
+        type: String,
+        default: null,
+        select: false,
+    },
 });
 
 // Indexes for better query performance
@@ -77,6 +141,19 @@ UserSchema.index({ email: 1 });
 UserSchema.index({ role: 1 });
 UserSchema.index({ isActive: 1 });
 
+// Attach the account to a login error so callers can record the attempt
+const withUser = (error, user) => {
+    error.user = user;
+    return error;
+};
+
+// Build the error returned for a locked account, with a retry-after hint
+const lockedError = (user) => {
+    const error = withUser(new AppError('Account temporarily locked due to too many failed login attempts', 423), user);
+    error.retryAfter = user.getLockRetryAfter();
+    return error;
+};
+
 // Virtual for account lock status
 UserSchema.virtual('isLocked').get(function() {
     return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -91,12 +168,43 @@ UserSchema.pre('save', async function(next) {
         // Hash password with cost of 12
         const salt = await bcrypt.genSalt(12);
         this.password = await bcrypt.hash(this.password, salt);
+        this.$locals.newPasswordHash = this.password;
         next();
     } catch (error) {
         next(error);
     }
 });
 
+// Post-save middleware to append the new hash to the password history.
+// Uses an atomic update so the history never has to be loaded to be kept.
+UserSchema.post('save', async function() {
+    const newPasswordHash = this.$locals.newPasswordHash;
+    if (!newPasswordHash) return;
+    
+    delete this.$locals.newPasswordHash;
+    await this.constructor.updateOne(
+        { _id: this._id },
+        {
+            $push: {
+                passwordHistory: {
+                    $each: [newPasswordHash],
+                    $position: 0,
+                    $slice: Math.max(1, securityConfig.passwordPolicy.historySize)
+                }
+            }
+        }
+    );
+});
+
+// Pre-save middleware to record when the password was changed
+UserSchema.pre('save', function(next) {
+    if (!this.isModified('password') || this.isNew) return next();
+    
+    // Back-date by a second so a token issued right after the change stays valid
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+    next();
+});
+
 // Pre-save middleware to update lastModified
 UserSchema.pre('save', function(next) {
     if (this.isModified() && !this.isNew) {
@@ -114,7 +222,124 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
     }
 };
 
-// Instance method to update last login
+// Instance method to check if the password changed after a token was issued
+UserSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+    if (!this.passwordChangedAt) return false;
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Instance method to create a password reset token (stores only the hash)
+UserSchema.methods.createPasswordResetToken = function() {
+    const resetToken = generateRandomToken();
+    
+    this.resetPasswordToken = hashToken(resetToken);
+    this.resetPasswordExpires = new Date(Date.now() + securityConfig.resetPasswordExpires);
+    
+    return resetToken;
+};
+
+// Instance method to create a passwordless login token (stores only the hash)
+UserSchema.methods.createMagicLinkToken = function() {
+    const magicToken = generateRandomToken();
+    
+    this.magicLinkToken = hashToken(magicToken);
+    this.magicLinkExpires = new Date(Date.now() + securityConfig.magicLinkExpires);
+    
+    return magicToken;
+};
+
+// Instance method to create an email verification token (stores only the hash)
+UserSchema.methods.createEmailVerificationToken = function() {
+    const verificationToken = generateRandomToken();
+    
+    this.emailVerificationToken = hashToken(verificationToken);
+    this.emailVerificationExpires = new Date(Date.now() + securityConfig.emailVerificationExpires);
+    this.emailVerificationSentAt = new Date();
+    
+    return verificationToken;
+};
+
+// Instance method to get seconds until another verification email may be sent
+UserSchema.methods.getVerificationResendRetryAfter = function() {
+    if (!this.emailVerificationSentAt) return 0;
+    const nextAllowed = this.emailVerificationSentAt.getTime() + securityConfig.emailVerificationResendCooldown;
+    return Math.max(0, Math.ceil((nextAllowed - Date.now()) / 1000));
+};
+
+// Instance method to start 2FA enrolment; the secret only becomes active
+// once the user proves they can generate codes from it
+UserSchema.methods.createTwoFactorSecret = function() {
+    this.twoFactorPendingSecret = totp.generateSecret();
+    return this.twoFactorPendingSecret;
+};
+
+// Instance method to replace recovery codes (returns plain codes, stores hashes)
+UserSchema.methods.generateRecoveryCodes = function(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = generateRandomToken(5);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    
+    this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+    return codes;
+};
+
+// Instance method to check a TOTP code against a secret, rejecting replays
+UserSchema.methods.verifyTotpCode = function(code, secret = this.twoFactorSecret) {
+    if (!secret) return false;
+    
+    const step = totp.verifyCode(secret, code);
+    if (step === null || (this.twoFactorLastUsedStep !== null && step <= this.twoFactorLastUsedStep)) {
+        return false;
+    }
+    
+    this.twoFactorLastUsedStep = step;
+    return true;
+};
+
+// Instance method to consume a one-time recovery code
+UserSchema.methods.useRecoveryCode = function(code) {
+    const codeHash = hashToken(String(code || '').trim().toLowerCase());
+    const index = this.twoFactorRecoveryCodes.indexOf(codeHash);
+    
+    if (index === -1) return false;
+    
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+};
+
+// Instance method to verify either a TOTP code or a recovery code.
+// Requires the 2FA fields to have been selected; caller must save.
+UserSchema.methods.verifyTwoFactor = function({ code, recoveryCode }) {
+    if (recoveryCode) {
+        return this.useRecoveryCode(recoveryCode);
+    }
+    return this.verifyTotpCode(code);
+};
+
+// Instance method to turn 2FA off and discard all secrets
+UserSchema.methods.disableTwoFactor = function() {
+    this.twoFactorEnabled = false;
+    this.twoFactorSecret = null;
+    this.twoFactorPendingSecret = null;
+    this.twoFactorRecoveryCodes = [];
+    this.twoFactorLastUsedStep = null;
+};
+
+// Instance method to start a 2FA challenge. Only the hash of the id is stored,
+// and starting a new login replaces it, so each challenge can be used once.
+UserSchema.methods.createTwoFactorChallengeId = async function() {
+    const challengeId = generateRandomToken(16);
+    
+    this.twoFactorChallengeId = hashToken(challengeId);
+    await this.updateOne({ $set: { twoFactorChallengeId: this.twoFactorChallengeId } });
+    
+    return challengeId;
+};
+
+// Instance method to update last login. Called only once every login step
+// (including 2FA) has passed, so a correct password alone never clears the
+// lockout counter.
 UserSchema.methods.updateLastLogin = async function() {
     this.lastLogin = new Date();
     this.loginAttempts = 0; // Reset login attempts on successful login
@@ -124,11 +349,12 @@ UserSchema.methods.updateLastLogin = async function() {
 
 // Instance method to increment login attempts
 UserSchema.methods.incLoginAttempts = async function() {
-    const maxAttempts = 5;
-    const lockTime = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
+    const { maxLoginAttempts, lockTime } = securityConfig;
     
     // If we have a previous lock that has expired, restart at 1
     if (this.lockUntil && this.lockUntil < Date.now()) {
+        this.loginAttempts = 1;
+        this.lockUntil = null;
         return await this.updateOne({
             $unset: { lockUntil: 1 },
             $set: { loginAttempts: 1 }
@@ -138,58 +364,149 @@ UserSchema.methods.incLoginAttempts = async function() {
     const updates = { $inc: { loginAttempts: 1 } };
     
     // If we hit max attempts and it's not locked yet, lock the account
-    if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
-        updates.$set = { lockUntil: Date.now() + lockTime };
+    if (this.loginAttempts + 1 >= maxLoginAttempts && !this.isLocked) {
+        this.lockUntil = new Date(Date.now() + lockTime);
+        updates.$set = { lockUntil: this.lockUntil };
     }
     
+    this.loginAttempts += 1;
     return await this.updateOne(updates);
 };
 
+// Instance method to get seconds remaining on the account lock
+UserSchema.methods.getLockRetryAfter = function() {
+    if (!this.isLocked) return 0;
+    return Math.ceil((this.lockUntil - Date.now()) / 1000);
+};
+
 // Instance method to check if user is admin
 UserSchema.methods.isAdmin = function() {
     return this.role === 'Admin';
 };
 
+// Instance method to list the permissions granted by the user's role
+UserSchema.methods.getPermissions = function() {
+    return [...getRolePermissions(this.role)];
+};
+
+// Instance method to check a single permission
+UserSchema.methods.hasPermission = function(permission) {
+    return getRolePermissions(this.role).includes(permission);
+};
+
 // Instance method to get public profile (without sensitive data)
 UserSchema.methods.getPublicProfile = function() {
     const userObject = this.toObject();
     delete userObject.password;
+    delete userObject.passwordHistory;
     delete userObject.resetPasswordToken;
     delete userObject.resetPasswordExpires;
     delete userObject.emailVerificationToken;
+    delete userObject.emailVerificationExpires;
+    delete userObject.magicLinkToken;
+    delete userObject.magicLinkExpires;
     delete userObject.loginAttempts;
     delete userObject.lockUntil;
+    delete userObject.twoFactorSecret;
+    delete userObject.twoFactorPendingSecret;
+    delete userObject.twoFactorRecoveryCodes;
+    delete userObject.twoFactorLastUsedStep;
+    delete userObject.twoFactorChallengeId;
     return userObject;
 };
 
 // Static method to find user by email (including password)
 UserSchema.statics.findByCredentials = async function(email, password) {
     const user = await this.findOne({ 
-        email: email.toLowerCase(),
-        isActive: true 
+        email: email.toLowerCase()
     }).select('+password');
     
     if (!user) {
-        throw new Error('Invalid login credentials');
+        throw new AppError('Invalid login credentials', 401);
     }
     
     // Check if account is locked
     if (user.isLocked) {
         await user.incLoginAttempts();
-        throw new Error('Account temporarily locked due to too many failed login attempts');
+        throw lockedError(user);
     }
     
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
         await user.incLoginAttempts();
-        throw new Error('Invalid login credentials');
+        
+        // This attempt may have been the one that locked the account
+        if (user.isLocked) {
+            throw lockedError(user);
+        }
+        throw withUser(new AppError('Invalid login credentials', 401), user);
+    }
+    
+    if (!user.isActive) {
+        throw withUser(new AppError('Account is deactivated', 401), user);
+    }
+    
+    if (securityConfig.emailVerificationMode === 'login' && !user.isEmailVerified) {
+        throw withUser(new AppError('Please verify your email address before logging in', 403), user);
+    }
+    
+    // Last login and the attempt counter are updated once the login completes
+    return user;
+};
+
+// Static method to sign in with a magic link token. Applies the same
+// account checks as findByCredentials; the token is consumed either way.
+UserSchema.statics.findByMagicLinkToken = async function(token) {
+    const user = await this.findOneAndUpdate(
+        {
+            magicLinkToken: hashToken(token),
+            magicLinkExpires: { $gt: Date.now() }
+        },
+        { $set: { magicLinkToken: null, magicLinkExpires: null } },
+        { new: true }
+    );
+    
+    if (!user) {
+        throw new AppError('Login link is invalid or has expired', 401);
+    }
+    
+    if (!user.magicLinkEnabled) {
+        throw withUser(new AppError('Magic link login is not enabled for this account', 403), user);
+    }
+    
+    if (user.isLocked) {
+        throw lockedError(user);
+    }
+    
+    if (!user.isActive) {
+        throw withUser(new AppError('Account is deactivated', 401), user);
+    }
+    
+    // Opening a link sent to the address proves the user owns it
+    if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        await user.save();
     }
     
-    // Update last login on successful authentication
-    await user.updateLastLogin();
     return user;
 };
 
+// Static method to find user by a valid (unexpired) password reset token
+UserSchema.statics.findByResetToken = async function(token) {
+    return await this.findOne({
+        resetPasswordToken: hashToken(token),
+        resetPasswordExpires: { $gt: Date.now() }
+    }).select('+passwordHistory');
+};
+
+// Static method to find user by a valid (unexpired) email verification token
+UserSchema.statics.findByVerificationToken = async function(token) {
+    return await this.findOne({
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: Date.now() }
+    });
+};
+
 // Static method to create admin user
 UserSchema.statics.createAdmin = async function(adminData) {
     const { name, email, password } = adminData;
@@ -274,6 +591,29 @@ UserSchema.statics.deactivateUser = async function(userId) {
     );
 };
 
+// Static method to apply an update that may take away a user's admin access
+// (demote or deactivate) unless it would leave no active admin. The write is
+// made first and undone if no active admin remains afterwards, so concurrent
+// requests can never remove the last one between a check and a write. Returns
+// { user } (null if not found) or { lastAdmin: true } when refused.
+UserSchema.statics.updateUnlessLastAdmin = async function(userId, update) {
+    const before = await this.findById(userId);
+    if (!before) return { user: null };
+    
+    const user = await this.findByIdAndUpdate(userId, update, { new: true, runValidators: true });
+    if (!user) return { user: null };
+    
+    const lostAdminAccess = before.role === 'Admin' && before.isActive &&
+        !(user.role === 'Admin' && user.isActive);
+    
+    if (lostAdminAccess && !(await this.exists({ role: 'Admin', isActive: true }))) {
+        await this.updateOne({ _id: userId }, { $set: { role: before.role, isActive: before.isActive } });
+        return { lastAdmin: true };
+    }
+    
+    return { user };
+};
+
 // Static method to activate user
 UserSchema.statics.activateUser = async function(userId) {
     return await this.findByIdAndUpdate(
@@ -303,11 +643,19 @@ UserSchema.statics.unlockAccount = async function(userId) {
 UserSchema.methods.toJSON = function() {
     const user = this.toObject();
     delete user.password;
+    delete user.passwordHistory;
     delete user.resetPasswordToken;
     delete user.resetPasswordExpires;
     delete user.emailVerificationToken;
+    delete user.emailVerificationExpires;
+    delete user.magicLinkToken;
+    delete user.magicLinkExpires;
     delete user.loginAttempts;
     delete user.lockUntil;
+    delete user.twoFactorSecret;
+    delete user.twoFactorPendingSecret;
+    delete user.twoFactorRecoveryCodes;
+    delete user.twoFactorLastUsedStep;
     return user;
 };
 
@@ -1,16 +1,25 @@
 const express=require("express");
 const router=express.Router();
-const {submitContact,getContacts,getContact,updateContact,deleteContact,getContactStats}=require("../controller/contactController");
-const {protect, adminonly} = require('../middleware/auth');
+const {getFormToken,submitContact,getContacts,exportContacts,getContact,updateContact,deleteContact,getContactStats,getReplyTemplates,replyToContact,bulkUpdateContacts,bulkDeleteContacts,getSlaReport,sendSlaReminders}=require("../controller/contactController");
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateContactReply } = require('../middleware/validate');
 
 
+router.get('/form-token',getFormToken);
 router.post('/submit',submitContact);
 
-// ✅ Add protection to admin routes:
-router.get('/admin', getContacts); // Add middlewares
-router.get('/admin/stats', getContactStats); // Add middlewares
-router.get('/:id',  getContact); // Add middlewares
-router.put('/:id',   updateContact); // Add middlewares
-router.delete('/:id',   deleteContact); // Add middlewares
+// Admin routes
+router.get('/admin', protect, requirePermission('contacts:read'), getContacts);
+router.get('/admin/export', protect, requirePermission('contacts:read'), exportContacts);
+router.get('/admin/stats', protect, requirePermission('contacts:read'), getContactStats);
+router.get('/admin/sla', protect, requirePermission('contacts:read'), getSlaReport);
+router.post('/admin/sla/remind', protect, requirePermission('contacts:write'), sendSlaReminders);
+router.post('/admin/bulk', protect, requirePermission('contacts:write'), bulkUpdateContacts);
+router.post('/admin/bulk-delete', protect, requirePermission('contacts:delete'), bulkDeleteContacts);
+router.get('/admin/reply-templates', protect, requirePermission('contacts:read'), getReplyTemplates);
+router.get('/:id', protect, requirePermission('contacts:read'), getContact);
+router.put('/:id', protect, requirePermission('contacts:write'), updateContact);
+router.post('/:id/reply', protect, requirePermission('contacts:write'), validateContactReply, replyToContact);
+router.delete('/:id', protect, requirePermission('contacts:delete'), deleteContact);
 
 module.exports=router;
\ No newline at end of file
@@ -2,23 +2,74 @@ const express = require('express');
 const router = express.Router();
 const {
   login,
+  requestMagicLink,
+  verifyMagicLink,
+  updateMagicLinkSetting,
   getProfile,
   updateProfile,
   changePassword,
   getDashboardStats,
-  createInitialAdmin
+  createInitialAdmin,
+  forgotPassword,
+  resetPassword,
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerificationEmail
 } = require('../controller/admincontroller');
-const { protect, adminonly } = require('../middleware/auth');
-const { validateLogin, validateUser } = require('../middleware/validate');
+const {
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controller/twoFactorController');
+const {
+  getSessions,
+  revokeSession,
+  getLoginHistory
+} = require('../controller/sessionController');
+const {
+  protect,
+  requirePermission,
+  requireSession,
+  requireSetupToken
+} = require('../middleware/auth');
+const {
+  validateLogin,
+  validateUser,
+  validateEmailRequest,
+  validateResetPassword
+} = require('../middleware/validate');
 const { body, validationResult } = require('express-validator');
 
 
-router.post('/admin/login', login);
-router.post('/createinitial', createInitialAdmin);
-router.get('/profile/:id',getProfile); // Add protect
-router.put('/profile', [/* validation */], updateProfile); // Add protect
-router.put('/change-password',  [/* validation */], changePassword); // Add protect
-router.get('/dashboard', adminonly, getDashboardStats); // Add protect
+router.post('/admin/login', validateLogin, login);
+router.post('/admin/login/2fa', verifyTwoFactorLogin);
+router.post('/admin/magic-link', validateEmailRequest, requestMagicLink);
+router.post('/admin/magic-link/verify', verifyMagicLink);
+router.post('/admin/refresh', refreshAccessToken);
+router.post('/admin/logout', protect, requireSession, logout);
+router.post('/admin/logout-all', protect, requireSession, logoutAll);
+router.post('/admin/forgot-password', validateEmailRequest, forgotPassword);
+router.post('/admin/reset-password/:token', validateResetPassword, resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/verify-email/resend', validateEmailRequest, resendVerificationEmail);
+router.post('/createinitial', requireSetupToken, validateUser, createInitialAdmin);
+router.get('/profile', protect, getProfile);
+router.get('/profile/:id', protect, getProfile);
+router.put('/profile', protect, requireSession, updateProfile);
+router.put('/change-password', protect, requireSession, changePassword);
+router.put('/admin/magic-link/settings', protect, requireSession, updateMagicLinkSetting);
+router.post('/admin/2fa/setup', protect, requireSession, setupTwoFactor);
+router.post('/admin/2fa/enable', protect, requireSession, enableTwoFactor);
+router.post('/admin/2fa/disable', protect, requireSession, disableTwoFactor);
+router.post('/admin/2fa/recovery-codes', protect, requireSession, regenerateRecoveryCodes);
+router.get('/admin/sessions', protect, requireSession, getSessions);
+router.delete('/admin/sessions/:sessionId', protect, requireSession, revokeSession);
+router.get('/admin/login-history', protect, requireSession, getLoginHistory);
+router.get('/dashboard', protect, requirePermission('dashboard:read'), getDashboardStats);
 
 
 
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createApiKey,
+  getApiKeys,
+  rotateApiKey,
+  revokeApiKey
+} = require('../controller/apiKeyController');
+const { protect, requirePermission, requireSession } = require('../middleware/auth');
+
+// === ADMIN ROUTES (interactive login only; keys cannot manage keys) ===
+router.post('/', protect, requireSession, requirePermission('apikeys:manage'), createApiKey);
+router.get('/', protect, requireSession, requirePermission('apikeys:manage'), getApiKeys);
+router.post('/:id/rotate', protect, requireSession, requirePermission('apikeys:manage'), rotateApiKey);
+router.delete('/:id', protect, requireSession, requirePermission('apikeys:manage'), revokeApiKey);
+
+module.exports = router;
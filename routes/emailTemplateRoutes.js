@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEmailTemplates,
+  getEmailTemplate,
+  updateEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate
+} = require('../controller/emailTemplateController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// === ADMIN ROUTES ===
+router.get('/', protect, requirePermission('settings:manage'), getEmailTemplates);
+router.get('/:key', protect, requirePermission('settings:manage'), getEmailTemplate);
+router.put('/:key', protect, requirePermission('settings:manage'), updateEmailTemplate);
+router.delete('/:key', protect, requirePermission('settings:manage'), resetEmailTemplate);
+router.post('/:key/preview', protect, requirePermission('settings:manage'), previewEmailTemplate);
+
+module.exports = router;
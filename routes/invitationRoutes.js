@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+} = require('../controller/invitationController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateInvitation, validateAcceptInvitation } = require('../middleware/validate');
+
+// === ADMIN ROUTES ===
+router.post('/admin/invitations', protect, requirePermission('users:manage'), validateInvitation, createInvitation);
+router.get('/admin/invitations', protect, requirePermission('users:manage'), getInvitations);
+router.delete('/admin/invitations/:id', protect, requirePermission('users:manage'), revokeInvitation);
+
+// === PUBLIC ROUTES (token in the emailed link) ===
+router.get('/invitations/:token', getInvitationByToken);
+router.post('/invitations/:token/accept', validateAcceptInvitation, acceptInvitation);
+
+module.exports = router;
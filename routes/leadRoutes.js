@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createLead,
+  getLeads,
+  getLead,
+  updateLead,
+  mergeIntoLead,
+  deleteLead,
+  getPipelineStats
+} = require('../controller/leadController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// === ADMIN ROUTES ===
+router.post('/', protect, requirePermission('leads:write'), createLead);
+router.get('/', protect, requirePermission('leads:read'), getLeads);
+router.get('/stats', protect, requirePermission('leads:read'), getPipelineStats);
+router.get('/:id', protect, requirePermission('leads:read'), getLead);
+router.put('/:id', protect, requirePermission('leads:write'), updateLead);
+router.post('/:id/merge', protect, requirePermission('leads:write'), mergeIntoLead);
+router.delete('/:id', protect, requirePermission('leads:write'), deleteLead);
+
+module.exports = router;
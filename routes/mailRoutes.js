@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  sendTestEmail,
+  getCapturedEmails,
+  clearCapturedEmails,
+  getEmailJobs,
+  getEmailJob,
+  retryEmailJob
+} = require('../controller/mailController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validateTestEmail } = require('../middleware/validate');
+
+// === ADMIN ROUTES ===
+router.post('/test', protect, requirePermission('settings:manage'), validateTestEmail, sendTestEmail);
+router.get('/outbox', protect, requirePermission('settings:manage'), getCapturedEmails);
+router.delete('/outbox', protect, requirePermission('settings:manage'), clearCapturedEmails);
+router.get('/jobs', protect, requirePermission('settings:manage'), getEmailJobs);
+router.get('/jobs/:id', protect, requirePermission('settings:manage'), getEmailJob);
+router.post('/jobs/:id/retry', protect, requirePermission('settings:manage'), retryEmailJob);
+
+module.exports = router;
@@ -16,6 +16,7 @@ const {
 } = require("../controller/projectController");
 
 const { uploadSingle, uploadMultiple, handleUploadError } = require('../middleware/upload');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const multer = require('multer');
 const path = require('path');
@@ -48,7 +49,7 @@ const upload = multer({
 });
 
 // CRITICAL: This route must exist and match your frontend call
-router.post('/upload-image',  upload.single('image'), uploadImage);
+router.post('/upload-image', protect, requirePermission('projects:write'), upload.single('image'), uploadImage);
 
 
 
@@ -66,17 +67,17 @@ router.post('/upload-image',  upload.single('image'), uploadImage);
 
 
 // === ADMIN ROUTES ===
-router.get('/admin/stats', getProjectStats);
+router.get('/admin/stats', protect, requirePermission('projects:read'), getProjectStats);
 
 // Create project with multiple images
-router.post('/create', uploadMultiple, handleUploadError, createProject);
+router.post('/create', protect, requirePermission('projects:write'), uploadMultiple, handleUploadError, createProject);
 
 // Update & Delete
-router.put('/:id', updateProject);
-router.delete('/:id', deleteProject);
+router.put('/:id', protect, requirePermission('projects:write'), updateProject);
+router.delete('/:id', protect, requirePermission('projects:write'), deleteProject);
 
 // Toggle featured status
-router.patch('/:id/featured', toggleFeatured);
+router.patch('/:id/featured', protect, requirePermission('projects:write'), toggleFeatured);
 
 // === PUBLIC ROUTES (order matters!) ===
 router.get('/featured', getFeaturedProjects);
@@ -84,7 +85,7 @@ router.get('/category/:category', getProjectsByCategory);
 router.get('/status/:status', getProjectsByStatus);
 
 // Upload single image
-router.post('/upload-image', uploadSingle, uploadImage);
+router.post('/upload-image', protect, requirePermission('projects:write'), uploadSingle, uploadImage);
 
 // === GENERAL ROUTES (keep these last!) ===
 router.get('/', getprojects);
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getSiteSettings, updateSiteSettings } = require('../controller/settingsController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// === ADMIN ROUTES ===
+router.get('/', protect, requirePermission('settings:manage'), getSiteSettings);
+router.put('/', protect, requirePermission('settings:manage'), updateSiteSettings);
+
+module.exports = router;
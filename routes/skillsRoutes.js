@@ -8,12 +8,12 @@ const {
   deleteSkill,
   getSkillStats
 } = require("../controller/skillsController");
-const { protect, adminonly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
-router.get('/admin/stats',  getSkillStats);
-router.post('/create',   createSkill);
-router.put('/:id',   updateSkill);
-router.delete('/:id',   deleteSkill);
+router.get('/admin/stats', protect, requirePermission('skills:read'), getSkillStats);
+router.post('/create', protect, requirePermission('skills:write'), createSkill);
+router.put('/:id', protect, requirePermission('skills:write'), updateSkill);
+router.delete('/:id', protect, requirePermission('skills:write'), deleteSkill);
 
 router.get('/', getSkills);
 router.get('/:id', getSkill);
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUser,
+  getUserStats,
+  activateUser,
+  deactivateUser,
+  updateUserRole,
+  deleteUser,
+  unlockUser
+} = require('../controller/userController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// === ADMIN ROUTES ===
+router.get('/', protect, requirePermission('users:manage'), getUsers);
+router.get('/stats', protect, requirePermission('users:manage'), getUserStats);
+router.get('/:id', protect, requirePermission('users:manage'), getUser);
+router.patch('/:id/activate', protect, requirePermission('users:manage'), activateUser);
+router.patch('/:id/deactivate', protect, requirePermission('users:manage'), deactivateUser);
+router.patch('/:id/role', protect, requirePermission('users:manage'), updateUserRole);
+router.patch('/:id/unlock', protect, requirePermission('users:manage'), unlockUser);
+router.delete('/:id', protect, requirePermission('users:manage'), deleteUser);
+
+module.exports = router;
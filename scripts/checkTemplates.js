@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { renderTemplate, validateTemplateSyntax } = require('../utils/templateRenderer');
+const { DEFAULT_EMAIL_TEMPLATES } = require('../config/emailTemplates');
+
+// Sanity checks for the built-in email templates and the renderer's escaping.
+// No database or mail transport needed.
+// Usage: node scripts/checkTemplates.js
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+
+// Visitor-controlled values that look like tags must stay text, and markup
+// in any field must come out escaped, including inside {{#each}} blocks
+const checkInjection = () => {
+  const { html, sample } = DEFAULT_EMAIL_TEMPLATES.slaReminderDigest;
+  const contact = { ...sample.contacts[0], subject: '{{{contacts.0.priority}}}', priority: PAYLOAD };
+  const output = renderTemplate(html, { ...sample, contacts: [contact] });
+
+  assert.ok(!output.includes('<img'), 'each block: markup from a value was inserted unescaped');
+  assert.ok(output.includes('{{{contacts.0.priority}}}'), 'each block: a value was scanned as a tag');
+
+  assert.strictEqual(renderTemplate('{{{a}}}', { a: '{{b}}', b: PAYLOAD }), '{{b}}');
+  assert.strictEqual(renderTemplate('{{#if a}}{{a}}{{/if}}', { a: '{{{b}}}', b: PAYLOAD }), '{{{b}}}');
+  assert.strictEqual(renderTemplate('{{a}}', { a: PAYLOAD }), '&lt;img src=x onerror=alert(1)&gt;');
+};
+
+const checkDefaults = () => {
+  Object.entries(DEFAULT_EMAIL_TEMPLATES).forEach(([key, template]) => {
+    ['subject', 'html', 'text'].forEach(part => {
+      const errors = validateTemplateSyntax(template[part]);
+      assert.deepStrictEqual(errors, [], `${key}.${part}: ${errors.join('; ')}`);
+      assert.ok(!/\{\{/.test(renderTemplate(template[part], template.sample)), `${key}.${part}: tags left after rendering`);
+    });
+  });
+};
+
+try {
+  checkInjection();
+  checkDefaults();
+  console.log('Email templates OK');
+} catch (error) {
+  console.error('Template check failed:', error.message);
+  process.exit(1);
+}
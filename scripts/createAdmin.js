@@ -1,42 +1,46 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const User = require('../models/User'); // Adjust path based on your structure
+const { validatePassword } = require('../utils/passwordPolicy');
 require('dotenv').config();
 
 // Admin creation function
+// Usage: ADMIN_NAME="..." ADMIN_EMAIL="..." ADMIN_PASSWORD="..." node scripts/createAdmin.js
 const createAdminAccount = async () => {
   try {
+    const name = process.env.ADMIN_NAME || 'Portfolio Admin';
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email || !password) {
+      console.error('❌ ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+      return;
+    }
+
+    // Apply the same password policy as the API
+    const passwordErrors = await validatePassword(password, { email, name });
+    if (passwordErrors.length > 0) {
+      console.error('❌ Password does not meet the security requirements:');
+      passwordErrors.forEach(message => console.error(`   - ${message}`));
+      return;
+    }
+
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio');
     console.log('Connected to MongoDB');
 
     // Check if admin already exists
-    const existingAdmin = await User.findOne({ email: 'admin@portfolio.com' });
+    const existingAdmin = await User.findOne({ email: email.toLowerCase() });
     
     if (existingAdmin) {
       console.log('Admin account already exists');
       return;
     }
 
-    // Hash the admin password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash('admin123', salt);
-
-    // Create admin user
-    const adminUser = new User({
-      name: 'Portfolio Admin',
-      email: 'admin@portfolio.com',
-      password: hashedPassword,
-      role: 'Admin', // Match your User model enum
-      createdAt: new Date(),
-      lastLogin: new Date()
-    });
-
-    await adminUser.save();
+    // Create admin user (the model hashes the password on save)
+    await User.createAdmin({ name, email, password });
+
     console.log('✅ Admin account created successfully!');
-    console.log('📧 Email: admin@portfolio.com');
-    console.log('🔑 Password: admin123');
-    console.log('⚠️  Please change the password after first login');
+    console.log(`📧 Email: ${email}`);
 
   } catch (error) {
     console.error('❌ Error creating admin account:', error.message);
@@ -0,0 +1,114 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+require('dotenv').config({ path: path.join(__dirname, '../config/config.env') });
+
+// Backfill fields added to the Contact schema on documents created before
+// they existed. Safe to run more than once: only missing fields are set.
+// Usage: node scripts/migrateContacts.js
+const defaults = {
+  phone: null,
+  company: null,
+  projectType: 'Other',
+  priority: 'Medium',
+  isRead: false,
+  readAt: null,
+  isReplied: false,
+  repliedAt: null,
+  notes: '',
+  tags: [],
+  conversation: [],
+  isArchived: false,
+  archivedAt: null,
+  lead: null,
+  slaReminderSentAt: null,
+  isSpam: false,
+  spamScore: 0,
+  spamReasons: [],
+  ipAddress: null,
+  userAgent: null
+};
+
+// Fields that gained a maxlength, and the tag added to contacts that were cut
+const TRUNCATED_FIELDS = ['name', 'subject', 'message', 'company'];
+const TRUNCATED_TAG = 'truncated';
+
+const migrateContacts = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/portfolio');
+    console.log('Connected to MongoDB');
+
+    const collection = Contact.collection;
+
+    for (const [field, value] of Object.entries(defaults)) {
+      const result = await collection.updateMany(
+        { [field]: { $exists: false } },
+        { $set: { [field]: value } }
+      );
+      console.log(`${field}: backfilled ${result.modifiedCount} contacts`);
+    }
+
+    // Emails are now stored lowercase; the per-email rate limit and the lead
+    // repeat-submission lookup query them that way
+    const emails = await collection.updateMany(
+      { email: { $regex: /[A-Z]|^\s|\s$/ } },
+      [{ $set: { email: { $toLower: { $trim: { input: '$email' } } } } }]
+    );
+    console.log(`email: normalised ${emails.modifiedCount} contacts`);
+
+    // Older contacts had no length limits. Truncate anything over the schema's
+    // maxlength so the documents validate again, keep the original text in
+    // a backup collection and tag the contact so it can be found.
+    const backups = mongoose.connection.collection('contact_migration_backups');
+
+    for (const field of TRUNCATED_FIELDS) {
+      const max = Contact.schema.path(field).options.maxlength;
+      const overLength = { $expr: { $gt: [{ $strLenCP: { $ifNull: [`$${field}`, ''] } }, max] } };
+
+      const originals = await collection.find(overLength).project({ [field]: 1 }).toArray();
+      if (originals.length === 0) continue;
+
+      await backups.insertMany(originals.map(doc => ({
+        contactId: doc._id,
+        field,
+        value: doc[field],
+        migratedAt: new Date()
+      })));
+
+      const result = await collection.updateMany(overLength, [{
+        $set: {
+          [field]: { $substrCP: [`$${field}`, 0, max] },
+          tags: { $setUnion: [{ $ifNull: ['$tags', []] }, [TRUNCATED_TAG]] }
+        }
+      }]);
+      console.log(`${field}: truncated ${result.modifiedCount} contacts to ${max} characters`);
+    }
+
+    // Older contacts only have createdAt; start their updatedAt there
+    const timestamps = await collection.updateMany(
+      { updatedAt: { $exists: false } },
+      [{ $set: { updatedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+    );
+    console.log(`updatedAt: backfilled ${timestamps.modifiedCount} contacts`);
+
+    // Build the indexes declared on the schema
+    await Contact.syncIndexes();
+    console.log('✅ Contact migration completed');
+
+  } catch (error) {
+    console.error('❌ Contact migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Close the database connection
+    await mongoose.connection.close();
+  }
+};
+
+// Export the function
+module.exports = migrateContacts;
+
+// If running directly, execute the function
+if (require.main === module) {
+  migrateContacts();
+}
@@ -5,6 +5,9 @@ const path = require("path");
 const dotenv = require("dotenv");
 const multer = require("multer");
 
+// Load environment variables before any module reads them at load time
+dotenv.config({ path: "./config/config.env" });
+
 // Import Cloudinary v2
 const cloudinary = require("cloudinary").v2;
 
@@ -12,9 +15,21 @@ const contactroute = require("./routes/Contactroute");
 const projectroute = require("./routes/projectroutes");
 const skillroute = require("./routes/skillsRoutes");
 const adminRoute = require("./routes/adminroute");
-
-// Load environment variables
-dotenv.config({ path: "./config/config.env" });
+const userRoute = require("./routes/userRoutes");
+const invitationRoute = require("./routes/invitationRoutes");
+const apiKeyRoute = require("./routes/apiKeyRoutes");
+const emailTemplateRoute = require("./routes/emailTemplateRoutes");
+const settingsRoute = require("./routes/settingsRoutes");
+const mailRoute = require("./routes/mailRoutes");
+const leadRoute = require("./routes/leadRoutes");
+const { protect, requirePermission } = require("./middleware/auth");
+const { initSetupMode, getSetupStatus } = require("./utils/setupMode");
+const { verifyTransport } = require("./utils/mailTransport");
+const { startEmailWorker } = require("./utils/emailQueue");
+const { startSlaReminderJob } = require("./utils/slaReminders");
+const slaConfig = require("./config/sla");
+const securityConfig = require("./config/security");
+const mailConfig = require("./config/mail");
 
 // ✅ Configure Cloudinary (only cloud_name needed for unsigned uploads)
 cloudinary.config({
@@ -34,8 +49,37 @@ const {
 // Connect to database
 connectDB();
 
+// Enable first-run setup mode if no admin exists yet
+initSetupMode().catch((error) => {
+  console.error("Setup mode initialization failed:", error.message);
+});
+
+// Check outgoing mail works; a failure is reported but does not stop the server
+if (mailConfig.verifyOnStartup) {
+  verifyTransport().then(({ transport, ok, error }) => {
+    if (ok) {
+      console.log(`✉️ Mail transport "${transport}" ready`);
+    } else {
+      console.error(`❌ Mail transport "${transport}" failed verification:`, error);
+    }
+  });
+}
+
+// Deliver queued mail in the background
+if (mailConfig.queue.workerEnabled) {
+  startEmailWorker();
+}
+
+// Remind admins about contacts unanswered past their response SLA
+if (slaConfig.reminders.enabled) {
+  startSlaReminderJob();
+}
+
 const app = express();
 
+// Behind a reverse proxy, per-IP limits need the client address from X-Forwarded-For
+app.set('trust proxy', securityConfig.trustProxy);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -121,7 +165,7 @@ const uploadToCloudinary = async (buffer, originalname) => {
 };
 
 // ✅ CORRECTED UPLOAD ROUTE - Using unsigned upload
-app.post('/api/projects/upload-image', upload.single('image'), async (req, res) => {
+app.post('/api/projects/upload-image', protect, requirePermission('projects:write'), upload.single('image'), async (req, res) => {
   try {
     console.log("📤 Unsigned upload request received");
     
@@ -197,7 +241,7 @@ app.post('/api/projects/upload-image', upload.single('image'), async (req, res)
 });
 
 // ✅ Alternative: Direct buffer upload without stream
-app.post('/api/projects/upload-image-direct', upload.single('image'), async (req, res) => {
+app.post('/api/projects/upload-image-direct', protect, requirePermission('projects:write'), upload.single('image'), async (req, res) => {
   try {
     console.log("📤 Direct unsigned upload request");
     
@@ -245,7 +289,7 @@ app.post('/api/projects/upload-image-direct', upload.single('image'), async (req
 });
 
 // ✅ Test endpoint to verify your upload preset works
-app.get('/api/test-unsigned-upload', async (req, res) => {
+app.get('/api/test-unsigned-upload', protect, requirePermission('projects:write'), async (req, res) => {
   try {
     console.log("🧪 Testing unsigned upload with tiny image...");
     
@@ -288,13 +332,28 @@ app.get('/api/test-unsigned-upload', async (req, res) => {
 app.use("/api/contact", contactroute);
 app.use("/api/projects", projectroute);
 app.use("/api/skills", skillroute);
+app.use("/api/admin/users", userRoute);
+app.use("/api/admin/api-keys", apiKeyRoute);
+app.use("/api/admin/email-templates", emailTemplateRoute);
+app.use("/api/admin/settings", settingsRoute);
+app.use("/api/admin/email", mailRoute);
+app.use("/api/admin/leads", leadRoute);
+app.use("/api", invitationRoute);
 app.use("/api", adminRoute);
 
 // Health check
-app.get("/api/health", (req, res) => {
+app.get("/api/health", async (req, res) => {
+  let setup = null;
+  try {
+    setup = await getSetupStatus();
+  } catch (error) {
+    console.error("Health check setup status error:", error.message);
+  }
+
   res.status(200).json({
     success: true,
     message: "Server running with unsigned Cloudinary uploads",
+    setup,
     timestamp: new Date().toISOString()
   });
 });
@@ -0,0 +1,134 @@
+// Serialisers for exporting contacts as CSV, NDJSON or vCard, one record at a time
+
+// Columns a caller may pick, in default order. `id` maps to the document _id.
+const EXPORT_COLUMNS = [
+  'id', 'name', 'email', 'phone', 'company', 'subject', 'message',
+  'projectType', 'priority', 'isRead', 'readAt', 'isReplied', 'repliedAt',
+  'isArchived', 'archivedAt', 'tags', 'notes', 'createdAt', 'updatedAt'
+];
+
+const DEFAULT_COLUMNS = [
+  'name', 'email', 'phone', 'company', 'subject', 'message',
+  'projectType', 'priority', 'isRead', 'isReplied', 'tags', 'createdAt'
+];
+
+// The fields every vCard needs, whatever columns were requested
+const VCARD_FIELDS = ['name', 'email', 'phone', 'company', 'subject', 'tags', 'updatedAt'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  vcard: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' }
+};
+
+// Parse a comma-separated `columns` parameter. Returns { columns } or { error }.
+const parseColumns = (value) => {
+  if (!value) return { columns: DEFAULT_COLUMNS };
+
+  const columns = String(value).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !EXPORT_COLUMNS.includes(column));
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(', ') || '(none given)'}. Available: ${EXPORT_COLUMNS.join(', ')}` };
+  }
+
+  return { columns: [...new Set(columns)] };
+};
+
+// Mongoose projection for the requested columns
+const toProjection = (columns) => {
+  return columns.filter(column => column !== 'id').join(' ') || '_id';
+};
+
+const getValue = (contact, column) => {
+  const value = column === 'id' ? contact._id : contact[column];
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return String(value);
+  return value;
+};
+
+const escapeCsv = (value) => {
+  if (value === null) return '';
+  let text = String(value);
+
+  // Stop spreadsheets from evaluating visitor-supplied text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvHeader = (columns) => `${columns.join(',')}\r\n`;
+
+const toCsvRow = (contact, columns) => {
+  return `${columns.map(column => escapeCsv(getValue(contact, column))).join(',')}\r\n`;
+};
+
+const toNdjsonLine = (contact, columns) => {
+  const record = {};
+  columns.forEach(column => {
+    const value = column === 'id' ? String(contact._id) : contact[column];
+    record[column] = value === undefined ? null : value;
+  });
+  return `${JSON.stringify(record)}\n`;
+};
+
+const escapeVCard = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+};
+
+// Lines longer than 75 characters are folded onto continuation lines (RFC 6350)
+const foldVCardLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+const toVCard = (contact) => {
+  const nameParts = String(contact.name || '').trim().split(/\s+/);
+  const familyName = nameParts.length > 1 ? nameParts.pop() : '';
+  const givenName = nameParts.join(' ');
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${escapeVCard(contact.name || contact.email)}`,
+    `N:${escapeVCard(familyName)};${escapeVCard(givenName)};;;`,
+    `EMAIL;TYPE=INTERNET:${escapeVCard(contact.email)}`
+  ];
+
+  if (contact.phone) lines.push(`TEL:${escapeVCard(contact.phone)}`);
+  if (contact.company) lines.push(`ORG:${escapeVCard(contact.company)}`);
+  if (contact.subject) lines.push(`NOTE:${escapeVCard(`Inquiry: ${contact.subject}`)}`);
+  if (contact.tags && contact.tags.length > 0) {
+    lines.push(`CATEGORIES:${contact.tags.map(escapeVCard).join(',')}`);
+  }
+  if (contact.updatedAt) lines.push(`REV:${new Date(contact.updatedAt).toISOString()}`);
+  lines.push('END:VCARD');
+
+  return `${lines.map(foldVCardLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  VCARD_FIELDS,
+  parseColumns,
+  toProjection,
+  csvHeader,
+  toCsvRow,
+  toNdjsonLine,
+  toVCard
+};
@@ -0,0 +1,117 @@
+const EmailJob = require('../models/EmailJob');
+const User = require('../models/User');
+const mailConfig = require('../config/mail');
+const {
+  renderEmail,
+  sendCustomEmail,
+  getContactNotificationData,
+  getAutoReplyData
+} = require('./sendEmail');
+
+// Durable outbound mail: messages are stored as EmailJob documents and
+// delivered by a polling worker, so a mail outage delays mail instead of
+// losing it, and callers never wait on the mail provider.
+
+const queueEmail = async ({ to, subject, html, text = '', template = null, contact = null }) => {
+  return await EmailJob.create({ to, subject, html, text, template, contact });
+};
+
+// Render now, so later template edits don't change a message already queued
+const queueTemplatedEmail = async (key, to, data, { contact = null } = {}) => {
+  const { subject, html, text } = await renderEmail(key, data);
+  return await queueEmail({ to, subject, html, text, template: key, contact });
+};
+
+// Where owner notifications go: EMAIL_TO, or every active admin if it is unset
+const getOwnerRecipients = async () => {
+  if (process.env.EMAIL_TO) return [process.env.EMAIL_TO];
+
+  const admins = await User.find({ role: 'Admin', isActive: true }).select('email');
+  return admins.map(admin => admin.email);
+};
+
+// Owner notification and visitor auto-reply for a contact form submission.
+// Everything is rendered and checked first, then inserted in one go, so
+// either all of the messages are queued or none are.
+const queueContactEmails = async (contact) => {
+  const recipients = await getOwnerRecipients();
+  if (recipients.length === 0) {
+    throw new Error('No recipient for contact notifications: set EMAIL_TO or create an active admin');
+  }
+
+  const notification = await renderEmail('contactNotification', getContactNotificationData(contact));
+  const autoReply = await renderEmail('contactAutoReply', getAutoReplyData(contact));
+
+  const jobs = [
+    ...recipients.map(to => ({ ...notification, to, template: 'contactNotification', contact: contact._id })),
+    { ...autoReply, to: contact.email, template: 'contactAutoReply', contact: contact._id }
+  ];
+
+  // insertMany validates every job before writing any of them
+  return await EmailJob.insertMany(jobs);
+};
+
+const deliverJob = async (job) => {
+  try {
+    const info = await sendCustomEmail(job.to, job.subject, job.html, job.text);
+    await job.markSent(info);
+  } catch (error) {
+    await job.markFailed(error);
+
+    if (job.status === 'dead') {
+      console.error(`❌ Email ${job._id} to ${job.to} dead-lettered after ${job.attempts} attempts:`, job.lastError);
+    }
+  }
+};
+
+let processing = false;
+
+// Deliver due jobs, up to one batch. Returns the number of jobs attempted.
+const processQueue = async () => {
+  if (processing) return 0;
+  processing = true;
+
+  let attempted = 0;
+  try {
+    while (attempted < mailConfig.queue.batchSize) {
+      const job = await EmailJob.claimNext();
+      if (!job) break;
+
+      await deliverJob(job);
+      attempted++;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return attempted;
+};
+
+let workerTimer = null;
+
+const startEmailWorker = () => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(() => {
+    processQueue().catch((error) => {
+      console.error('Email queue worker error:', error.message);
+    });
+  }, mailConfig.queue.pollInterval);
+
+  // Don't keep the process alive just for the worker
+  workerTimer.unref();
+};
+
+const stopEmailWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+module.exports = {
+  queueEmail,
+  queueTemplatedEmail,
+  queueContactEmails,
+  processQueue,
+  startEmailWorker,
+  stopEmailWorker
+};
@@ -0,0 +1,21 @@
+const { sendVerificationEmail } = require('./sendEmail');
+const securityConfig = require('../config/security');
+
+// Issue a fresh verification token for the user and email the link. Used
+// when an account is created, when its email changes and on resend.
+const issueEmailVerification = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${process.env.SERVER_URL || 'http://localhost:8000'}/api/verify-email/${verificationToken}`;
+
+  await sendVerificationEmail(
+    user,
+    verifyUrl,
+    Math.round(securityConfig.emailVerificationExpires / (60 * 60 * 1000))
+  );
+};
+
+module.exports = {
+  issueEmailVerification
+};
@@ -10,3 +10,4 @@ class AppError extends Error {
   }
 }
 
+module.exports = AppError;
@@ -0,0 +1,40 @@
+const LoginHistory = require('../models/LoginHistory');
+const { sendNewLoginAlert } = require('./sendEmail');
+const securityConfig = require('../config/security');
+
+// Record a login attempt. Never throws: a logging failure must not block login.
+const recordLoginAttempt = async (req, { user = null, email = null, method = 'password', outcome, reason = null }) => {
+  try {
+    const ipAddress = req.ip || null;
+    const userAgent = req.get('User-Agent') || null;
+
+    // Check before inserting, otherwise this attempt would count as "known"
+    const shouldAlert = outcome === 'success' &&
+      user &&
+      securityConfig.newLoginAlertsEnabled &&
+      await LoginHistory.hasPreviousLogin(user._id) &&
+      !(await LoginHistory.isKnownDevice(user._id, ipAddress, userAgent));
+
+    await LoginHistory.create({
+      user: user ? user._id : null,
+      email: user ? user.email : email,
+      method,
+      outcome,
+      reason,
+      ipAddress,
+      userAgent
+    });
+
+    if (shouldAlert) {
+      sendNewLoginAlert(user, { ipAddress, userAgent, time: new Date() }).catch((error) => {
+        console.error('Failed to send new login alert:', error);
+      });
+    }
+  } catch (error) {
+    console.error('Record login attempt error:', error);
+  }
+};
+
+module.exports = {
+  recordLoginAttempt
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail');
+
+// Messages captured by the json transport, newest last
+const capturedMessages = [];
+
+// Nodemailer transport plugin that writes each message to an .eml file
+const createFileTransport = (dir) => ({
+  name: 'file',
+  version: '1.0.0',
+  send(mail, callback) {
+    const messageId = mail.message.messageId();
+    const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const filePath = path.join(dir, filename);
+
+    fs.promises.mkdir(dir, { recursive: true })
+      .then(() => new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath);
+        const input = mail.message.createReadStream();
+        input.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        input.pipe(output);
+      }))
+      .then(() => callback(null, { envelope: mail.message.getEnvelope(), messageId, path: filePath }))
+      .catch(callback);
+  }
+});
+
+// Nodemailer transport plugin that accepts and discards every message
+const createDisabledTransport = () => ({
+  name: 'disabled',
+  version: '1.0.0',
+  send(mail, callback) {
+    console.log(`✉️ Mail disabled, not sending "${mail.data.subject}" to ${mail.data.to}`);
+    callback(null, { envelope: mail.message.getEnvelope(), messageId: mail.message.messageId(), skipped: true });
+  }
+});
+
+const buildTransporter = (transport) => {
+  switch (transport) {
+    case 'smtp':
+      return nodemailer.createTransport({ ...mailConfig.smtp, auth: mailConfig.auth });
+    case 'file':
+      return nodemailer.createTransport(createFileTransport(mailConfig.fileDir));
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    case 'disabled':
+      return nodemailer.createTransport(createDisabledTransport());
+    case 'gmail':
+    default:
+      return nodemailer.createTransport({ service: 'gmail', auth: mailConfig.auth });
+  }
+};
+
+let transporter = null;
+let transporterType = null;
+
+// Transporter for the configured transport, rebuilt if the setting changes
+const getTransporter = () => {
+  const transport = mailConfig.transport;
+
+  if (!transporter || transporterType !== transport) {
+    if (transporter) transporter.close();
+    transporter = buildTransporter(transport);
+    transporterType = transport;
+  }
+
+  return transporter;
+};
+
+const sendMail = async (mailOptions) => {
+  const info = await getTransporter().sendMail({ from: mailConfig.from, ...mailOptions });
+
+  if (transporterType === 'json') {
+    capturedMessages.push({ ...JSON.parse(info.message), capturedAt: new Date() });
+    capturedMessages.splice(0, Math.max(0, capturedMessages.length - mailConfig.captureLimit));
+  }
+
+  return { ...info, transport: transporterType };
+};
+
+// Check the configured transport can send. Never throws.
+// Returns { transport, ok, error }.
+const verifyTransport = async () => {
+  const transport = mailConfig.transport;
+
+  try {
+    if (transport === 'gmail' || transport === 'smtp') {
+      await getTransporter().verify();
+    } else if (transport === 'file') {
+      await fs.promises.mkdir(mailConfig.fileDir, { recursive: true });
+      await fs.promises.access(mailConfig.fileDir, fs.constants.W_OK);
+    }
+
+    return { transport, ok: true, error: null };
+  } catch (error) {
+    return { transport, ok: false, error: error.message };
+  }
+};
+
+const getCapturedMessages = () => [...capturedMessages];
+
+const clearCapturedMessages = () => {
+  capturedMessages.length = 0;
+};
+
+module.exports = {
+  getTransporter,
+  sendMail,
+  verifyTransport,
+  getCapturedMessages,
+  clearCapturedMessages
+};
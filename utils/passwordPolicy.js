@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const securityConfig = require('../config/security');
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '../config/data/common-passwords.txt');
+
+// Loaded lazily and cached; the list ships with the repo so no network is needed
+let commonPasswords = null;
+
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+const isCommonPassword = (password) => {
+  return getCommonPasswords().has(String(password).toLowerCase());
+};
+
+// Check the password against the configured rules. Returns one message per
+// failed rule (empty array when the password is acceptable).
+//   user: optional User document selected with +passwordHistory, for reuse checks
+//   email/name: optional personal details the password must not contain
+const validatePassword = async (password, { user = null, email = null, name = null } = {}) => {
+  const policy = securityConfig.passwordPolicy;
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+
+  if (password.length > policy.maxLength) {
+    errors.push(`Password cannot exceed ${policy.maxLength} characters`);
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one symbol');
+  }
+
+  if (policy.checkCommonPasswords && isCommonPassword(password)) {
+    errors.push('Password is too common or has appeared in a data breach');
+  }
+
+  const lowered = password.toLowerCase();
+  const emailLocalPart = (email || (user && user.email) || '').split('@')[0].toLowerCase();
+  const displayName = (name || (user && user.name) || '').toLowerCase().replace(/\s+/g, '');
+  if ((emailLocalPart.length >= 3 && lowered.includes(emailLocalPart)) ||
+      (displayName.length >= 3 && lowered.includes(displayName))) {
+    errors.push('Password must not contain your name or email address');
+  }
+
+  // Only compare against history once the cheap rules pass; bcrypt is slow
+  if (errors.length === 0 && user && policy.historySize > 0) {
+    const history = (user.passwordHistory || []).slice(0, policy.historySize);
+
+    for (const previousHash of history) {
+      if (await bcrypt.compare(password, previousHash)) {
+        errors.push(`Password cannot match any of your last ${policy.historySize} passwords`);
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validatePassword,
+  isCommonPassword
+};
@@ -0,0 +1,37 @@
+// In-memory cooldown keyed by arbitrary strings (an email, an IP address).
+// Per process only, which is enough to stop one client hammering an endpoint.
+const createThrottle = (getCooldown) => {
+  const lastSeen = new Map();
+
+  const prune = (now, cooldown) => {
+    for (const [key, time] of lastSeen) {
+      if (now - time >= cooldown) lastSeen.delete(key);
+    }
+  };
+
+  // Seconds until any of the keys may be used again (0 if allowed). An
+  // allowed call starts the cooldown for every key.
+  const hit = (keys) => {
+    const cooldown = getCooldown();
+    const now = Date.now();
+    prune(now, cooldown);
+
+    const activeKeys = keys.filter(Boolean).map(key => String(key).toLowerCase());
+    const retryAfter = activeKeys.reduce((longest, key) => {
+      if (!lastSeen.has(key)) return longest;
+      return Math.max(longest, Math.ceil((lastSeen.get(key) + cooldown - now) / 1000));
+    }, 0);
+
+    if (retryAfter === 0) {
+      activeKeys.forEach(key => lastSeen.set(key, now));
+    }
+
+    return retryAfter;
+  };
+
+  return { hit };
+};
+
+module.exports = {
+  createThrottle
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generateRandomToken } = require('./tokenUtils');
+
+// First-run setup state. Until an admin exists, `/api/createinitial` only
+// works with a one-time token taken from SETUP_TOKEN or printed at startup.
+// Once an admin exists, setup is closed for the life of the process.
+let setupToken = null;
+let setupComplete = false;
+
+const isSetupComplete = async () => {
+  if (setupComplete) return true;
+
+  if (await User.exists({ role: 'Admin' })) {
+    completeSetup();
+  }
+
+  return setupComplete;
+};
+
+const initSetupMode = async () => {
+  if (await isSetupComplete()) return;
+
+  if (process.env.SETUP_TOKEN) {
+    setupToken = process.env.SETUP_TOKEN;
+    console.log('🔐 Setup mode active. Use SETUP_TOKEN to create the initial admin.');
+  } else {
+    setupToken = generateRandomToken(24);
+    console.log(`🔐 Setup mode active. One-time setup token: ${setupToken}`);
+  }
+};
+
+// Constant-time comparison against the active setup token
+const verifySetupToken = (token) => {
+  if (!setupToken || typeof token !== 'string') return false;
+
+  const expected = crypto.createHash('sha256').update(setupToken).digest();
+  const received = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, received);
+};
+
+const completeSetup = () => {
+  setupComplete = true;
+  setupToken = null;
+};
+
+const getSetupStatus = async () => {
+  const complete = await isSetupComplete();
+  return {
+    setupRequired: !complete,
+    setupAvailable: !complete && !!setupToken
+  };
+};
+
+module.exports = {
+  initSetupMode,
+  isSetupComplete,
+  verifySetupToken,
+  completeSetup,
+  getSetupStatus
+};
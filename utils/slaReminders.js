@@ -0,0 +1,111 @@
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const slaConfig = require('../config/sla');
+const { queueTemplatedEmail } = require('./emailQueue');
+
+// Inbox contacts still unanswered past their response SLA
+const findBreachedContacts = () => {
+  return Contact.find(Contact.inboxFilter({
+    isArchived: { $ne: true },
+    ...Contact.slaBreachedFilter()
+  }));
+};
+
+// Email every active admin a digest of contacts that breached their SLA and
+// have not been in a digest recently. Returns { reminded, recipients }.
+const runSlaReminderJob = async () => {
+  const { cooldown, digestLimit } = slaConfig.reminders;
+  const now = new Date();
+
+  const contacts = await findBreachedContacts()
+    .or([
+      { slaReminderSentAt: null },
+      { slaReminderSentAt: { $lt: new Date(now.getTime() - cooldown) } }
+    ])
+    .sort({ createdAt: 1 })
+    .select('name email subject priority isRead isReplied repliedAt createdAt');
+
+  if (contacts.length === 0) {
+    return { reminded: 0, recipients: 0 };
+  }
+
+  const recipients = await User.find({ role: 'Admin', isActive: true }).select('name email');
+
+  // Most overdue first. Only these are stamped below; the rest stay eligible
+  // for the next run instead of being muted without ever being named.
+  const selected = contacts
+    .map(contact => ({ contact, sla: contact.getSlaStatus(now) }))
+    .sort((a, b) => b.sla.hoursOverdue - a.sla.hoursOverdue)
+    .slice(0, digestLimit);
+
+  const listed = selected.map(({ contact, sla }) => ({
+    name: contact.name,
+    email: contact.email,
+    subject: contact.subject,
+    priority: contact.priority,
+    isRead: contact.isRead,
+    receivedAt: contact.createdAt.toLocaleString(),
+    dueAt: sla.dueAt.toLocaleString(),
+    hoursOverdue: sla.hoursOverdue
+  }));
+
+  const data = {
+    total: contacts.length,
+    more: Math.max(0, contacts.length - listed.length),
+    inboxUrl: process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/admin/contacts?slaBreached=true` : '',
+    contacts: listed
+  };
+
+  // Fall back to the contact form inbox if there is no admin account to notify
+  const targets = recipients.length > 0
+    ? recipients.map(user => ({ name: user.name, email: user.email }))
+    : [{ name: 'there', email: process.env.EMAIL_TO }];
+
+  for (const recipient of targets.filter(target => target.email)) {
+    await queueTemplatedEmail('slaReminderDigest', recipient.email, {
+      ...data,
+      recipient: { name: recipient.name }
+    });
+  }
+
+  await Contact.updateMany(
+    { _id: { $in: selected.map(({ contact }) => contact._id) } },
+    { $set: { slaReminderSentAt: now } },
+    { timestamps: false }
+  );
+
+  return { reminded: listed.length, recipients: targets.length };
+};
+
+let reminderTimer = null;
+
+const startSlaReminderJob = () => {
+  if (reminderTimer) return;
+
+  reminderTimer = setInterval(() => {
+    runSlaReminderJob()
+      .then(({ reminded }) => {
+        if (reminded > 0) {
+          console.log(`⏰ SLA reminder digest queued for ${reminded} overdue contact(s)`);
+        }
+      })
+      .catch((error) => {
+        console.error('SLA reminder job error:', error.message);
+      });
+  }, slaConfig.reminders.interval);
+
+  // Don't keep the process alive just for the job
+  reminderTimer.unref();
+};
+
+const stopSlaReminderJob = () => {
+  clearInterval(reminderTimer);
+  reminderTimer = null;
+};
+
+module.exports = {
+  findBreachedContacts,
+  runSlaReminderJob,
+  startSlaReminderJob,
+  stopSlaReminderJob
+};
@@ -0,0 +1,139 @@
+const jwt = require('jsonwebtoken');
+const Contact = require('../models/Contact');
+const securityConfig = require('../config/security');
+
+const SPAM_KEYWORDS = [
+  'viagra', 'cialis', 'casino', 'crypto investment', 'bitcoin', 'forex',
+  'loan offer', 'payday loan', 'seo services', 'backlinks', 'rank your website',
+  'guest post', 'buy followers', 'work from home', 'make money fast',
+  'weight loss', 'click here', 'limited time offer', 'act now', '100% free',
+  'risk-free', 'winner', 'congratulations you', 'nigerian prince', 'inheritance'
+];
+
+// Signed token recording when the form was rendered; proves the submission
+// came through the form and lets us measure how quickly it was filled in
+const issueFormToken = () => {
+  const { formTokenMaxAge } = securityConfig.contactProtection;
+  return jwt.sign({ purpose: 'contact-form' }, process.env.JWT_SECRET, {
+    expiresIn: Math.floor(formTokenMaxAge / 1000)
+  });
+};
+
+// Returns { valid, reason, elapsedSeconds }
+const verifyFormToken = (token) => {
+  if (!token) {
+    return { valid: false, reason: 'Form token is missing' };
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'contact-form') {
+      return { valid: false, reason: 'Form token is invalid' };
+    }
+    return { valid: true, elapsedSeconds: Date.now() / 1000 - decoded.iat };
+  } catch (error) {
+    return {
+      valid: false,
+      reason: error.name === 'TokenExpiredError'
+        ? 'Form has expired. Please reload the page and try again.'
+        : 'Form token is invalid'
+    };
+  }
+};
+
+// Seconds until another submission is allowed from this IP or email (0 if allowed)
+const getSubmissionRetryAfter = async ({ ipAddress, email }) => {
+  const { rateLimitWindow, maxPerIp, maxPerEmail } = securityConfig.contactProtection;
+  const windowStart = new Date(Date.now() - rateLimitWindow);
+
+  const checks = [
+    { filter: { ipAddress }, max: maxPerIp, enabled: !!ipAddress },
+    { filter: { email: String(email).toLowerCase() }, max: maxPerEmail, enabled: !!email }
+  ];
+
+  let retryAfter = 0;
+
+  for (const { filter, max, enabled } of checks) {
+    if (!enabled || max <= 0) continue;
+
+    const recent = await Contact.find({ ...filter, createdAt: { $gte: windowStart } })
+      .sort({ createdAt: -1 })
+      .limit(max)
+      .select('createdAt');
+
+    if (recent.length >= max) {
+      // Allowed again once the oldest submission in the window ages out
+      const oldest = recent[recent.length - 1].createdAt.getTime();
+      const seconds = Math.ceil((oldest + rateLimitWindow - Date.now()) / 1000);
+      retryAfter = Math.max(retryAfter, seconds, 1);
+    }
+  }
+
+  return retryAfter;
+};
+
+// Heuristic spam score for a submission. Returns { score, reasons }
+const scoreSubmission = async ({ name, email, subject, message }) => {
+  const reasons = [];
+  let score = 0;
+  const text = `${subject} ${message}`;
+  const lowered = text.toLowerCase();
+
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 0) {
+    score += Math.min(links, 5);
+    reasons.push(`Contains ${links} link(s)`);
+  }
+
+  if (/https?:\/\/|www\./i.test(name)) {
+    score += 3;
+    reasons.push('Name contains a link');
+  }
+
+  const keywords = SPAM_KEYWORDS.filter(keyword => lowered.includes(keyword));
+  if (keywords.length > 0) {
+    score += keywords.length * 2;
+    reasons.push(`Spam keywords: ${keywords.join(', ')}`);
+  }
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters === letters.toUpperCase()) {
+    score += 2;
+    reasons.push('Written in all caps');
+  }
+
+  if (/(.)\1{9,}/.test(text)) {
+    score += 1;
+    reasons.push('Long runs of repeated characters');
+  }
+
+  if (/<\s*(a|script|iframe)\b|\[url=/i.test(text)) {
+    score += 3;
+    reasons.push('Contains HTML or BBCode markup');
+  }
+
+  // The same message sent recently, from this or any other sender. Stored
+  // messages are trimmed by the schema, so compare the trimmed text.
+  const duplicates = await Contact.countDocuments({
+    message: String(message).trim(),
+    createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+  });
+  if (duplicates > 0) {
+    score += 3;
+    reasons.push('Identical message submitted recently');
+  }
+
+  if (/@(mailinator|guerrillamail|10minutemail|tempmail|yopmail)\./i.test(email)) {
+    score += 2;
+    reasons.push('Disposable email address');
+  }
+
+  return { score, reasons };
+};
+
+module.exports = {
+  issueFormToken,
+  verifyFormToken,
+  getSubmissionRetryAfter,
+  scoreSubmission
+};
@@ -0,0 +1,120 @@
+// Minimal template engine for emails. Escapes by default.
+//
+//   {{ contact.name }}                   value, HTML-escaped when rendering HTML
+//   {{{ body }}}                         value inserted as-is (trusted markup only)
+//   {{#if contact.phone}}…{{else}}…{{/if}} conditional block (not nestable)
+//   {{#each contacts}}…{{/each}}          repeat per item; inside, item fields are
+//                                         looked up first ({{name}}), then the rest
+
+const EACH_BLOCK = /\{\{#each\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/each\}\}/g;
+const IF_BLOCK = /\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g;
+const RAW_TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}/g;
+const TAG = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Look up a dotted path such as "contact.name"; missing values render as ''
+const lookup = (data, path) => {
+  const value = path.split('.').reduce((current, key) => {
+    return current === undefined || current === null ? undefined : current[key];
+  }, data);
+
+  return value === undefined || value === null ? '' : value;
+};
+
+const isTruthy = (value) => {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+};
+
+// Returns a list of syntax problems (empty when the template is valid)
+const validateTemplateSyntax = (source) => {
+  const errors = [];
+  const text = String(source || '');
+
+  const withoutLoops = text.replace(EACH_BLOCK, (match, path, body) => {
+    if (/\{\{#each/.test(body)) {
+      errors.push(`Nested {{#each}} blocks are not supported (in block on "${path}")`);
+    }
+    errors.push(...validateTemplateSyntax(body));
+    return '';
+  });
+
+  const withoutBlocks = withoutLoops.replace(IF_BLOCK, (match, path, truthy, falsy) => {
+    if (/\{\{#if/.test(truthy) || /\{\{#if/.test(falsy || '')) {
+      errors.push(`Nested {{#if}} blocks are not supported (in block on "${path}")`);
+    }
+    return '';
+  });
+
+  const leftover = withoutBlocks
+    .replace(RAW_TAG, '')
+    .replace(TAG, '')
+    .match(/\{\{[^}]*\}?\}?/g);
+
+  if (leftover) {
+    errors.push(`Unrecognised or unbalanced tag(s): ${[...new Set(leftover)].join(', ')}`);
+  }
+
+  return errors;
+};
+
+// Any block or tag, matched left to right in a single pass
+const TOKEN = new RegExp([EACH_BLOCK, IF_BLOCK, RAW_TAG, TAG].map(pattern => `(${pattern.source})`).join('|'), 'g');
+
+// Render a template. Pass { html: false } for subjects and plain-text bodies.
+// The source is scanned once: substituted values are never scanned again, so
+// a value that looks like a tag (e.g. a visitor typing "{{{x}}}") stays text.
+const renderTemplate = (source, data = {}, { html = true } = {}) => {
+  const format = (value) => (html ? escapeHtml(value) : String(value));
+
+  return String(source || '').replace(TOKEN, (match, eachBlock, eachPath, eachBody, ifBlock, ifPath, truthy, falsy = '', rawTag, rawPath, tag, tagPath) => {
+    if (eachBlock) {
+      const items = lookup(data, eachPath);
+      if (!Array.isArray(items)) return '';
+
+      return items.map(item => renderTemplate(eachBody, { ...data, ...item }, { html })).join('');
+    }
+
+    if (ifBlock) {
+      return renderTemplate(isTruthy(lookup(data, ifPath)) ? truthy : falsy, data, { html });
+    }
+
+    if (rawTag) return String(lookup(data, rawPath));
+
+    return format(lookup(data, tagPath));
+  });
+};
+
+// Fallback plain-text part for templates that only define HTML
+const htmlToText = (html) => {
+  return String(html || '')
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|h[1-6]|ul|ol|li|tr)\b[^>]*>/gi, (tag) => (/^<li/i.test(tag) ? '\n- ' : '\n'))
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+module.exports = {
+  escapeHtml,
+  renderTemplate,
+  validateTemplateSyntax,
+  htmlToText
+};
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate a random URL-safe token (returned to the user, never stored)
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token before storing or looking it up in the database
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};